@@ -19,6 +19,9 @@ const commands = [
     .setDescription("Check an Xbox gamertag's gamerscore against the configured threshold.")
     .addStringOption((opt) =>
       opt.setName("gamertag").setDescription("Xbox gamertag").setRequired(true)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName("refresh").setDescription("Staff only: skip the profile cache.").setRequired(false)
     ),
 
   new SlashCommandBuilder()
@@ -26,6 +29,9 @@ const commands = [
     .setDescription("Fetch detailed Xbox profile info (only shows fields that are available).")
     .addStringOption((opt) =>
       opt.setName("gamertag").setDescription("Xbox gamertag").setRequired(true)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName("refresh").setDescription("Staff only: skip the profile cache.").setRequired(false)
     ),
 
   new SlashCommandBuilder()
@@ -34,10 +40,11 @@ const commands = [
     .addStringOption((opt) =>
       opt
         .setName("scope")
-        .setDescription("pending = since last digest; all = all-time saved")
+        .setDescription("pending = since last digest; all = all-time saved; unresolvable = gave up")
         .addChoices(
           { name: "pending", value: "pending" },
-          { name: "all", value: "all" }
+          { name: "all", value: "all" },
+          { name: "unresolvable", value: "unresolvable" }
         )
         .setRequired(false)
     ),
@@ -62,6 +69,228 @@ const commands = [
         .setDescription("Gamertag(s). For add/remove you can paste multiple separated by commas.")
         .setRequired(false)
     ),
+
+  new SlashCommandBuilder()
+    .setName("xqueue")
+    .setDescription("Inspect and manage the background gamertag check queue.")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("status/front/remove/clear/pause/resume")
+        .addChoices(
+          { name: "status", value: "status" },
+          { name: "front", value: "front" },
+          { name: "remove", value: "remove" },
+          { name: "clear", value: "clear" },
+          { name: "pause", value: "pause" },
+          { name: "resume", value: "resume" }
+        )
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt.setName("gamertag").setDescription("Gamertag for front/remove.").setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("xparser")
+    .setDescription("Test an online list parser profile against the latest list message.")
+    .addStringOption((opt) =>
+      opt
+        .setName("profile")
+        .setDescription("Parser profile name (defaults to the server's own).")
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("server")
+        .setDescription("Server whose list to read (defaults to the first).")
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("xseen")
+    .setDescription("Show when a player was last online, or who was online around a time.")
+    .addStringOption((opt) =>
+      opt.setName("gamertag").setDescription("Xbox gamertag").setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("at")
+        .setDescription("Time in ET, e.g. 2026-10-17 21:00 or yesterday 9pm.")
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("window")
+        .setDescription("Minutes either side of the time (default 30).")
+        .setMinValue(1)
+        .setMaxValue(720)
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("xstats")
+    .setDescription("Show server population history.")
+    .addIntegerOption((opt) =>
+      opt
+        .setName("days")
+        .setDescription("How many days to cover (default 7).")
+        .setMinValue(1)
+        .setMaxValue(90)
+        .setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName("csv").setDescription("Attach the raw samples as a CSV file.").setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("server")
+        .setDescription("Server to report on (defaults to the first).")
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("xrenames")
+    .setDescription("Show channel renames waiting on Discord's rename limit."),
+
+  new SlashCommandBuilder()
+    .setName("xban")
+    .setDescription("Manage the ban registry. Banned and lookalike gamertags are alerted when online.")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("add/remove/list/info")
+        .addChoices(
+          { name: "add", value: "add" },
+          { name: "remove", value: "remove" },
+          { name: "list", value: "list" },
+          { name: "info", value: "info" }
+        )
+        .setRequired(true)
+    )
+    .addStringOption((opt) =>
+      opt.setName("gamertag").setDescription("Gamertag for add/remove/info.").setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt.setName("reason").setDescription("Reason for the ban (required for add).").setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt.setName("evidence").setDescription("Link to evidence.").setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("days")
+        .setDescription("Ban length in days. Leave empty for permanent.")
+        .setMinValue(1)
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("xnote")
+    .setDescription("Attach staff notes to a gamertag.")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("add/list/delete")
+        .addChoices(
+          { name: "add", value: "add" },
+          { name: "list", value: "list" },
+          { name: "delete", value: "delete" }
+        )
+        .setRequired(true)
+    )
+    .addStringOption((opt) =>
+      opt.setName("gamertag").setDescription("Gamertag for add/list.").setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("text")
+        .setDescription("Note text for add.")
+        .setMaxLength(500)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("id")
+        .setDescription("Note number for delete, as shown by list.")
+        .setMinValue(1)
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("xlink")
+    .setDescription("Link your Discord account to your Xbox gamertag.")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("start/verify/view/list/revoke")
+        .addChoices(
+          { name: "start", value: "start" },
+          { name: "verify", value: "verify" },
+          { name: "view", value: "view" },
+          { name: "list", value: "list" },
+          { name: "revoke", value: "revoke" }
+        )
+        .setRequired(true)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("gamertag")
+        .setDescription("Your gamertag for start. Staff: a linked gamertag for view/revoke.")
+        .setRequired(false)
+    )
+    .addUserOption((opt) =>
+      opt.setName("member").setDescription("Staff: the member for view/revoke.").setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("xverify")
+    .setDescription("Get the verified role by checking your Xbox account.")
+    .addStringOption((opt) =>
+      opt
+        .setName("gamertag")
+        .setDescription("Your gamertag. Not needed if you linked it with /xlink.")
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("xexport")
+    .setDescription("Download trusted, flagged or checked records, or the review log, as a file.")
+    .addStringOption((opt) =>
+      opt
+        .setName("dataset")
+        .setDescription("trusted/pending/flagged/checked/reviews")
+        .addChoices(
+          { name: "trusted", value: "trusted" },
+          { name: "pending", value: "pending" },
+          { name: "flagged (all-time)", value: "flagged" },
+          { name: "checked", value: "checked" },
+          { name: "reviews (log)", value: "reviews" }
+        )
+        .setRequired(true)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("format")
+        .setDescription("csv/json (default csv)")
+        .addChoices(
+          { name: "csv", value: "csv" },
+          { name: "json", value: "json" }
+        )
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("from")
+        .setDescription("Only records active on or after this date (YYYY-MM-DD, ET).")
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("to")
+        .setDescription("Only records active on or before this date (YYYY-MM-DD, ET).")
+        .setRequired(false)
+    ),
 ].map((c) => c.toJSON());
 
 async function main() {
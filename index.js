@@ -8,8 +8,17 @@ import {
   Routes,
   SlashCommandBuilder,
   MessageFlags,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
 } from "discord.js";
 import fetch from "node-fetch";
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 
@@ -22,28 +31,80 @@ const COMMANDS_AUTO_DEPLOY =
 
 const XBL_API_KEY = (process.env.XBL_API_KEY ?? "").trim();
 
+// Xbox data provider: "openxbl" (live API) or "fake" (fixture file, no network).
+const XBOX_PROVIDER = (process.env.XBOX_PROVIDER ?? "openxbl").trim().toLowerCase();
+const XBOX_FAKE_FIXTURES_FILE = (process.env.XBOX_FAKE_FIXTURES_FILE ?? "./fixtures/xbox-profiles.json").trim();
+
 const GS_THRESHOLD = Number.parseInt((process.env.GS_THRESHOLD ?? "2500").trim(), 10);
+
+// Risk score. A profile is flagged when its summed weights reach RISK_FLAG_SCORE.
+// RISK_WEIGHTS is a JSON object that overrides individual DEFAULT_RISK_WEIGHTS entries.
+const RISK_FLAG_SCORE = Number.parseInt((process.env.RISK_FLAG_SCORE ?? "50").trim(), 10);
+const RISK_WEIGHTS_RAW = (process.env.RISK_WEIGHTS ?? "").trim();
 const ONLINE_LIST_CHANNEL_ID = (process.env.ONLINE_LIST_CHANNEL_ID ?? "").trim();
+
+// Online list parsing. See DEFAULT_PARSER_PROFILE for the profile format.
+const PARSER_PROFILES_FILE = (process.env.PARSER_PROFILES_FILE ?? "").trim();
+const ONLINE_LIST_PARSER = (process.env.ONLINE_LIST_PARSER ?? "default").trim().toLowerCase();
+// List messages are handled live as they change; POLL_SECONDS polling only catches up on missed events.
+const ONLINE_LIST_DEBOUNCE_MS = Number.parseInt((process.env.ONLINE_LIST_DEBOUNCE_MS ?? "5000").trim(), 10);
+
 const ONLINE_COUNT_CHANNEL_ID = (process.env.ONLINE_COUNT_CHANNEL_ID ?? "1265079510982725632").trim();
 const ONLINE_COUNT_MAX_PLAYERS = Number.parseInt((process.env.ONLINE_COUNT_MAX_PLAYERS ?? "50").trim(), 10);
+
+// Game servers: a JSON array of { name, listChannelId, countChannelId, maxPlayers, parser }.
+// Left empty, the single server above (ONLINE_LIST_CHANNEL_ID, ONLINE_COUNT_*) is used.
+const SERVERS_RAW = (process.env.SERVERS ?? "").trim();
 const MODLOG_CHANNEL_ID = (process.env.MODLOG_CHANNEL_ID ?? "").trim();
 
 const DIGEST_CHANNEL_ID = (process.env.DIGEST_CHANNEL_ID ?? MODLOG_CHANNEL_ID).trim();
 const DIGEST_INTERVAL_HOURS = Number.parseInt((process.env.DIGEST_INTERVAL_HOURS ?? "1").trim(), 10);
+// "every 30 minutes", "every 2 hours", "daily at 08:00 ET" or a 5-field cron expression in ET.
+// Defaults to every DIGEST_INTERVAL_HOURS hours.
+const DIGEST_SCHEDULE_RAW = (process.env.DIGEST_SCHEDULE ?? "").trim();
 
 const SCRUB_DELAY_MS = Number.parseInt((process.env.SCRUB_DELAY_MS ?? "45000").trim(), 10);
 const POLL_SECONDS = Number.parseInt((process.env.POLL_SECONDS ?? "900").trim(), 10);
+const RECHECK_AFTER_DAYS = Number.parseInt((process.env.RECHECK_AFTER_DAYS ?? "30").trim(), 10);
+const RECHECK_SWEEP_PER_POLL = 3;
+const UNRESOLVED_MAX_ATTEMPTS = Number.parseInt((process.env.UNRESOLVED_MAX_ATTEMPTS ?? "5").trim(), 10);
+const UNRESOLVED_RETRY_BASE_MS = Number.parseInt((process.env.UNRESOLVED_RETRY_BASE_MS ?? "1800000").trim(), 10);
+const UNRESOLVABLE_RETRY_DAYS = Number.parseInt((process.env.UNRESOLVABLE_RETRY_DAYS ?? "7").trim(), 10);
+const SESSION_RETENTION_DAYS = Number.parseInt((process.env.SESSION_RETENTION_DAYS ?? "30").trim(), 10);
+const POPULATION_RETENTION_DAYS = Number.parseInt((process.env.POPULATION_RETENTION_DAYS ?? "90").trim(), 10);
+const ONLINE_ALERT_COOLDOWN_MS = Number.parseInt((process.env.ONLINE_ALERT_COOLDOWN_MS ?? "21600000").trim(), 10);
+const LINK_CODE_TTL_MINUTES = Number.parseInt((process.env.LINK_CODE_TTL_MINUTES ?? "30").trim(), 10);
 
 const DATA_DIR = (process.env.DATA_DIR ?? "./data").trim();
 const IMMEDIATE_FLAG_LOGS =
   (process.env.IMMEDIATE_FLAG_LOGS ?? "false").trim().toLowerCase() === "true";
 const RESET_STATE = (process.env.RESET_STATE ?? "").trim().toLowerCase() === "true";
 const STAFF_ROLE_ID = (process.env.STAFF_ROLE_ID ?? "").trim();
+const VERIFIED_ROLE_ID = (process.env.VERIFIED_ROLE_ID ?? "").trim();
+const VERIFY_REVIEW_CHANNEL_ID = (process.env.VERIFY_REVIEW_CHANNEL_ID ?? MODLOG_CHANNEL_ID).trim();
+// On by default: without a proven /xlink, anyone could verify with someone else's gamertag.
+const VERIFY_REQUIRE_LINK =
+  (process.env.VERIFY_REQUIRE_LINK ?? "true").trim().toLowerCase() === "true";
+const VERIFY_REVIEW_REPOST_MS = 24 * 60 * 60 * 1000;
+const REVIEW_LOG_MAX = 1000;
 
 const XBL_MAX_RETRIES = Number.parseInt((process.env.XBL_MAX_RETRIES ?? "1").trim(), 10);
 const XBL_BACKOFF_BASE_MS = Number.parseInt((process.env.XBL_BACKOFF_BASE_MS ?? "60000").trim(), 10);
 const XBL_BACKOFF_MAX_MS = Number.parseInt((process.env.XBL_BACKOFF_MAX_MS ?? "300000").trim(), 10);
 const XBL_GLOBAL_COOLDOWN_MS = Number.parseInt((process.env.XBL_GLOBAL_COOLDOWN_MS ?? "900000").trim(), 10);
+const XBL_CALLS_PER_HOUR = Number.parseInt((process.env.XBL_CALLS_PER_HOUR ?? "150").trim(), 10);
+const XBL_BACKGROUND_RESERVE = Number.parseInt((process.env.XBL_BACKGROUND_RESERVE ?? "20").trim(), 10);
+const XBL_INTERACTIVE_MAX_WAIT_MS = 30000;
+const XBL_OUTAGE_PAUSE_MS = Number.parseInt((process.env.XBL_OUTAGE_PAUSE_MS ?? "300000").trim(), 10);
+
+// Title history check for our game. Leave XBL_TITLE_ID empty to disable it.
+const XBL_TITLE_ID = (process.env.XBL_TITLE_ID ?? "").trim();
+const FLAG_MISSING_TITLE =
+  (process.env.FLAG_MISSING_TITLE ?? "false").trim().toLowerCase() === "true";
+
+// Profile cache. A TTL of 0 disables that part of the cache.
+const PROFILE_CACHE_TTL_MS = Number.parseInt((process.env.PROFILE_CACHE_TTL_MS ?? "21600000").trim(), 10);
+const PROFILE_CACHE_NOT_FOUND_TTL_MS = Number.parseInt((process.env.PROFILE_CACHE_NOT_FOUND_TTL_MS ?? "1800000").trim(), 10);
 
 // Trader status channel rename commands
 const TRADER_STATUS_CHANNEL_ID = (process.env.TRADER_STATUS_CHANNEL_ID ?? "1278171924932857959").trim();
@@ -81,20 +142,47 @@ function die(msg) {
 }
 
 if (!DISCORD_TOKEN) die("Missing DISCORD_TOKEN");
-if (!XBL_API_KEY) die("Missing XBL_API_KEY");
+if (XBOX_PROVIDER !== "openxbl" && XBOX_PROVIDER !== "fake") die("XBOX_PROVIDER must be openxbl or fake.");
+if (XBOX_PROVIDER === "openxbl" && !XBL_API_KEY) die("Missing XBL_API_KEY");
+if (XBL_TITLE_ID && !/^\d+$/.test(XBL_TITLE_ID)) die("XBL_TITLE_ID must be a numeric Xbox title ID.");
+if (FLAG_MISSING_TITLE && !XBL_TITLE_ID) die("FLAG_MISSING_TITLE requires XBL_TITLE_ID.");
+if (XBOX_PROVIDER === "fake" && !fs.existsSync(XBOX_FAKE_FIXTURES_FILE)) die(`XBOX_FAKE_FIXTURES_FILE not found: ${XBOX_FAKE_FIXTURES_FILE}`);
+if (PARSER_PROFILES_FILE && !fs.existsSync(PARSER_PROFILES_FILE)) die(`PARSER_PROFILES_FILE not found: ${PARSER_PROFILES_FILE}`);
 if (!Number.isFinite(GS_THRESHOLD)) die("GS_THRESHOLD must be a valid integer.");
+if (!Number.isFinite(RISK_FLAG_SCORE) || RISK_FLAG_SCORE < 1) die("RISK_FLAG_SCORE must be >= 1.");
 if (!Number.isFinite(DIGEST_INTERVAL_HOURS) || DIGEST_INTERVAL_HOURS < 1) die("DIGEST_INTERVAL_HOURS must be >= 1.");
+
+const DIGEST_SCHEDULE = parseDigestSchedule(DIGEST_SCHEDULE_RAW || `every ${DIGEST_INTERVAL_HOURS} hour${DIGEST_INTERVAL_HOURS === 1 ? "" : "s"}`);
+if (!DIGEST_SCHEDULE) die(`DIGEST_SCHEDULE is not a supported schedule: ${DIGEST_SCHEDULE_RAW} (use "every N hours", "daily at 8:00 am" or cron like "0 8 * * MON-FRI").`);
 if (!Number.isFinite(SCRUB_DELAY_MS) || SCRUB_DELAY_MS < 0) die("SCRUB_DELAY_MS must be non-negative.");
+if (!Number.isFinite(ONLINE_LIST_DEBOUNCE_MS) || ONLINE_LIST_DEBOUNCE_MS < 0) die("ONLINE_LIST_DEBOUNCE_MS must be non-negative.");
 if (!Number.isFinite(POLL_SECONDS) || POLL_SECONDS < 10) die("POLL_SECONDS must be >= 10.");
+if (!Number.isFinite(UNRESOLVED_MAX_ATTEMPTS) || UNRESOLVED_MAX_ATTEMPTS < 1) die("UNRESOLVED_MAX_ATTEMPTS must be >= 1.");
+if (!Number.isFinite(UNRESOLVED_RETRY_BASE_MS) || UNRESOLVED_RETRY_BASE_MS < 0) die("UNRESOLVED_RETRY_BASE_MS must be non-negative.");
+if (!Number.isFinite(UNRESOLVABLE_RETRY_DAYS) || UNRESOLVABLE_RETRY_DAYS < 0) die("UNRESOLVABLE_RETRY_DAYS must be non-negative.");
+if (!Number.isFinite(SESSION_RETENTION_DAYS) || SESSION_RETENTION_DAYS < 1) die("SESSION_RETENTION_DAYS must be >= 1.");
+if (!Number.isFinite(POPULATION_RETENTION_DAYS) || POPULATION_RETENTION_DAYS < 1) die("POPULATION_RETENTION_DAYS must be >= 1.");
+if (!Number.isFinite(ONLINE_ALERT_COOLDOWN_MS) || ONLINE_ALERT_COOLDOWN_MS < 0) die("ONLINE_ALERT_COOLDOWN_MS must be non-negative.");
+if (!Number.isFinite(LINK_CODE_TTL_MINUTES) || LINK_CODE_TTL_MINUTES < 1) die("LINK_CODE_TTL_MINUTES must be >= 1.");
+if (!Number.isFinite(RECHECK_AFTER_DAYS) || RECHECK_AFTER_DAYS < 0) die("RECHECK_AFTER_DAYS must be non-negative.");
 if (!Number.isFinite(ONLINE_COUNT_MAX_PLAYERS) || ONLINE_COUNT_MAX_PLAYERS < 1) die("ONLINE_COUNT_MAX_PLAYERS must be >= 1.");
+if (!Number.isFinite(XBL_OUTAGE_PAUSE_MS) || XBL_OUTAGE_PAUSE_MS < 0) die("XBL_OUTAGE_PAUSE_MS must be non-negative.");
+if (!Number.isFinite(XBL_CALLS_PER_HOUR) || XBL_CALLS_PER_HOUR < 1) die("XBL_CALLS_PER_HOUR must be >= 1.");
+if (!Number.isFinite(XBL_BACKGROUND_RESERVE) || XBL_BACKGROUND_RESERVE < 0 || XBL_BACKGROUND_RESERVE >= XBL_CALLS_PER_HOUR) die("XBL_BACKGROUND_RESERVE must be non-negative and below XBL_CALLS_PER_HOUR.");
+if (!Number.isFinite(PROFILE_CACHE_TTL_MS) || PROFILE_CACHE_TTL_MS < 0) die("PROFILE_CACHE_TTL_MS must be non-negative.");
+if (!Number.isFinite(PROFILE_CACHE_NOT_FOUND_TTL_MS) || PROFILE_CACHE_NOT_FOUND_TTL_MS < 0) die("PROFILE_CACHE_NOT_FOUND_TTL_MS must be non-negative.");
 
 process.on("unhandledRejection", (err) => console.error("Unhandled rejection:", err));
 process.on("uncaughtException", (err) => console.error("Uncaught exception:", err));
 
 console.log("Booting 3xBot...");
+console.log(`Xbox provider: ${XBOX_PROVIDER}`);
 
 fs.mkdirSync(DATA_DIR, { recursive: true });
 const STATE_FILE = path.resolve(DATA_DIR, "state.json");
+const PROFILE_CACHE_FILE = path.resolve(DATA_DIR, "profile_cache.json");
+const POPULATION_FILE = path.resolve(DATA_DIR, "population.jsonl");
+const SESSIONS_FILE = path.resolve(DATA_DIR, "sessions.jsonl");
 
 function nowMs() {
   return Date.now();
@@ -140,12 +228,72 @@ function defaultTraderStats() {
   };
 }
 
+function defaultState() {
+  return {
+    checked: new Map(),
+    pending: new Map(),
+    lastDigestMs: 0,
+    nextDigestMs: 0,
+    flaggedAll: new Map(),
+    trusted: {},
+    traderStats: defaultTraderStats(),
+    queue: [],
+    queuePaused: false,
+    xblCooldownUntilMs: 0,
+    players: new Map(),
+    unresolved: new Map(),
+    unresolvable: new Map(),
+    xblCooldownReason: "",
+    xblAuthFailedMs: 0,
+    presence: new Map(),
+    presenceUpdatedMs: {},
+    playtime: new Map(),
+    onlineAlerts: new Map(),
+    bans: new Map(),
+    notes: new Map(),
+    nextNoteId: 1,
+    links: new Map(),
+    linkCodes: new Map(),
+    verifications: new Map(),
+    reviewLog: [],
+  };
+}
+
 function loadState() {
   try {
     const raw = fs.readFileSync(STATE_FILE, "utf8");
     const parsed = JSON.parse(raw);
 
-    const checked = new Set(Array.isArray(parsed?.checked) ? parsed.checked : []);
+    const checked = new Map();
+
+    if (Array.isArray(parsed?.checked)) {
+      // Legacy format: a bare list of keys. Spread their timestamps over one re-check
+      // period so the migrated entries do not all come due on the same day.
+      const spreadMs = RECHECK_AFTER_DAYS * 24 * 60 * 60 * 1000;
+
+      parsed.checked.forEach((k, i) => {
+        if (!k) return;
+
+        checked.set(String(k), {
+          gamertag: String(k),
+          xuid: null,
+          gamerscore: null,
+          checkedMs: nowMs() - Math.floor((i / parsed.checked.length) * spreadMs),
+        });
+      });
+    } else if (parsed?.checked && typeof parsed.checked === "object") {
+      for (const [k, v] of Object.entries(parsed.checked)) {
+        if (!k || !v) continue;
+
+        checked.set(k, {
+          gamertag: String(v.gamertag ?? k),
+          xuid: v.xuid ? String(v.xuid) : null,
+          gamerscore: parseIntOrNull(v.gamerscore),
+          checkedMs: Number.parseInt(String(v.checkedMs ?? ""), 10) || nowMs(),
+        });
+      }
+    }
+
     const pending = new Map();
 
     if (parsed?.pending && typeof parsed.pending === "object") {
@@ -154,7 +302,11 @@ function loadState() {
 
         pending.set(k, {
           gamertag: String(v.gamertag ?? ""),
+          xuid: v.xuid ? String(v.xuid) : null,
           gamerscore: Number.parseInt(String(v.gamerscore ?? ""), 10),
+          riskScore: parseIntOrNull(v.riskScore),
+          riskReasons: Array.isArray(v.riskReasons) ? v.riskReasons : [],
+          server: v.server ? String(v.server) : null,
           firstSeenMs: Number.parseInt(String(v.firstSeenMs ?? ""), 10) || nowMs(),
           lastSeenMs: Number.parseInt(String(v.lastSeenMs ?? ""), 10) || nowMs(),
         });
@@ -170,7 +322,11 @@ function loadState() {
 
         flaggedAll.set(k, {
           gamertag: String(v.gamertag ?? ""),
+          xuid: v.xuid ? String(v.xuid) : null,
           lastKnownGS: Number.parseInt(String(v.lastKnownGS ?? ""), 10),
+          riskScore: parseIntOrNull(v.riskScore),
+          riskReasons: Array.isArray(v.riskReasons) ? v.riskReasons : [],
+          server: v.server ? String(v.server) : null,
           firstSeenMs: Number.parseInt(String(v.firstSeenMs ?? ""), 10) || nowMs(),
           lastSeenMs: Number.parseInt(String(v.lastSeenMs ?? ""), 10) || nowMs(),
         });
@@ -192,7 +348,10 @@ function loadState() {
 
       normalizedTrusted[kk] = {
         gamertag: gt,
+        xuid: v?.xuid ? String(v.xuid) : null,
         addedMs: Number.parseInt(String(v?.addedMs ?? ""), 10) || nowMs(),
+        addedById: String(v?.addedById ?? ""),
+        addedByTag: String(v?.addedByTag ?? ""),
       };
     }
 
@@ -206,23 +365,249 @@ function loadState() {
     if (!Number.isFinite(Number(traderStats.lastDigestWeekStartMs))) traderStats.lastDigestWeekStartMs = 0;
     if (!traderStats.lastWeekSummary || typeof traderStats.lastWeekSummary !== "object") traderStats.lastWeekSummary = null;
 
+    const queue = [];
+    const queueKeys = new Set();
+
+    for (const v of Array.isArray(parsed?.queue) ? parsed.queue : []) {
+      const gt = normalizeGamertag(v?.gt ?? "");
+      const k = gtKey(gt);
+      if (!k || queueKeys.has(k)) continue;
+
+      queueKeys.add(k);
+      queue.push({
+        gt,
+        k,
+        guildId: v?.guildId ? String(v.guildId) : null,
+        queuedMs: Number.parseInt(String(v?.queuedMs ?? ""), 10) || nowMs(),
+        force: v?.force === true,
+        recheck: v?.recheck === true,
+      });
+    }
+
+    const xblCooldownUntilMs = Number.parseInt(String(parsed?.xblCooldownUntilMs ?? "0"), 10) || 0;
+    const players = new Map();
+
+    if (parsed?.players && typeof parsed.players === "object") {
+      for (const [xuid, v] of Object.entries(parsed.players)) {
+        const gt = normalizeGamertag(v?.gamertag ?? "");
+        if (!xuid || !gt) continue;
+
+        players.set(xuid, {
+          xuid,
+          gamertag: gt,
+          gamertags: (Array.isArray(v.gamertags) ? v.gamertags : [])
+            .filter((a) => normalizeGamertag(a?.gamertag ?? ""))
+            .map((a) => ({
+              gamertag: normalizeGamertag(a.gamertag),
+              firstSeenMs: Number.parseInt(String(a.firstSeenMs ?? ""), 10) || nowMs(),
+              lastSeenMs: Number.parseInt(String(a.lastSeenMs ?? ""), 10) || nowMs(),
+            })),
+          firstSeenMs: Number.parseInt(String(v.firstSeenMs ?? ""), 10) || nowMs(),
+          lastSeenMs: Number.parseInt(String(v.lastSeenMs ?? ""), 10) || nowMs(),
+        });
+      }
+    }
+
+    const unresolved = new Map();
+    const unresolvable = new Map();
+
+    for (const [target, source] of [[unresolved, parsed?.unresolved], [unresolvable, parsed?.unresolvable]]) {
+      if (!source || typeof source !== "object") continue;
+
+      for (const [k, v] of Object.entries(source)) {
+        if (!k || !v) continue;
+
+        target.set(k, {
+          gamertag: String(v.gamertag ?? k),
+          attempts: Number.parseInt(String(v.attempts ?? ""), 10) || 1,
+          reason: String(v.reason ?? ""),
+          firstAttemptMs: Number.parseInt(String(v.firstAttemptMs ?? ""), 10) || nowMs(),
+          lastAttemptMs: Number.parseInt(String(v.lastAttemptMs ?? ""), 10) || nowMs(),
+          nextAttemptMs: Number.parseInt(String(v.nextAttemptMs ?? ""), 10) || 0,
+          givenUpMs: Number.parseInt(String(v.givenUpMs ?? ""), 10) || 0,
+        });
+      }
+    }
+
+    const presence = new Map();
+
+    if (parsed?.presence && typeof parsed.presence === "object") {
+      for (const [k, v] of Object.entries(parsed.presence)) {
+        const gt = normalizeGamertag(v?.gamertag ?? "");
+        if (!k || !gt) continue;
+
+        presence.set(k, {
+          gamertag: gt,
+          server: v.server ? String(v.server) : null,
+          startMs: Number.parseInt(String(v.startMs ?? ""), 10) || nowMs(),
+          lastSeenMs: Number.parseInt(String(v.lastSeenMs ?? ""), 10) || nowMs(),
+        });
+      }
+    }
+
+    // Sessions now live in SESSIONS_FILE. Older state files are read once so they can be moved there.
+    const sessions = (Array.isArray(parsed?.sessions) ? parsed.sessions : [])
+      .filter((v) => v?.k && Number.isFinite(v.startMs) && Number.isFinite(v.endMs))
+      .map((v) => ({
+        k: String(v.k),
+        gamertag: String(v.gamertag ?? v.k),
+        server: v.server ? String(v.server) : null,
+        startMs: v.startMs,
+        endMs: v.endMs,
+      }));
+
+    const playtime = new Map();
+
+    if (parsed?.playtime && typeof parsed.playtime === "object") {
+      for (const [k, v] of Object.entries(parsed.playtime)) {
+        if (!k || !v) continue;
+
+        playtime.set(k, {
+          gamertag: String(v.gamertag ?? k),
+          totalMs: Number.parseInt(String(v.totalMs ?? ""), 10) || 0,
+          sessionCount: Number.parseInt(String(v.sessionCount ?? ""), 10) || 0,
+          firstSeenMs: Number.parseInt(String(v.firstSeenMs ?? ""), 10) || nowMs(),
+          lastSeenMs: Number.parseInt(String(v.lastSeenMs ?? ""), 10) || nowMs(),
+        });
+      }
+    }
+
+    const onlineAlerts = new Map();
+
+    if (parsed?.onlineAlerts && typeof parsed.onlineAlerts === "object") {
+      for (const [k, v] of Object.entries(parsed.onlineAlerts)) {
+        const alertedMs = Number.parseInt(String(v ?? ""), 10);
+        if (k && Number.isFinite(alertedMs)) onlineAlerts.set(k, alertedMs);
+      }
+    }
+
+    const bans = new Map();
+
+    if (parsed?.bans && typeof parsed.bans === "object") {
+      for (const [k, v] of Object.entries(parsed.bans)) {
+        const gt = normalizeGamertag(v?.gamertag ?? "");
+        if (!k || !gt) continue;
+
+        bans.set(k, {
+          gamertag: gt,
+          xuid: v.xuid ? String(v.xuid) : null,
+          reason: String(v.reason ?? ""),
+          evidence: String(v.evidence ?? ""),
+          staffId: String(v.staffId ?? ""),
+          staffTag: String(v.staffTag ?? ""),
+          addedMs: Number.parseInt(String(v.addedMs ?? ""), 10) || nowMs(),
+          expiresMs: Number.parseInt(String(v.expiresMs ?? "0"), 10) || 0,
+        });
+      }
+    }
+
+    const notes = new Map();
+
+    if (parsed?.notes && typeof parsed.notes === "object") {
+      for (const [k, v] of Object.entries(parsed.notes)) {
+        const entries = (Array.isArray(v?.entries) ? v.entries : [])
+          .filter((n) => n?.text && Number.isFinite(n.id))
+          .map((n) => ({
+            id: n.id,
+            text: String(n.text),
+            authorId: String(n.authorId ?? ""),
+            authorTag: String(n.authorTag ?? ""),
+            createdMs: Number.parseInt(String(n.createdMs ?? ""), 10) || nowMs(),
+          }));
+
+        if (!k || !entries.length) continue;
+
+        notes.set(k, {
+          gamertag: String(v.gamertag ?? k),
+          xuid: v.xuid ? String(v.xuid) : null,
+          entries,
+        });
+      }
+    }
+
+    const links = new Map();
+
+    if (parsed?.links && typeof parsed.links === "object") {
+      for (const [userId, v] of Object.entries(parsed.links)) {
+        const gt = normalizeGamertag(v?.gamertag ?? "");
+        if (!userId || !gt) continue;
+
+        links.set(userId, {
+          userId,
+          userTag: String(v.userTag ?? ""),
+          gamertag: gt,
+          xuid: v.xuid ? String(v.xuid) : null,
+          linkedMs: Number.parseInt(String(v.linkedMs ?? ""), 10) || nowMs(),
+        });
+      }
+    }
+
+    const linkCodes = new Map();
+
+    if (parsed?.linkCodes && typeof parsed.linkCodes === "object") {
+      for (const [userId, v] of Object.entries(parsed.linkCodes)) {
+        const gt = normalizeGamertag(v?.gamertag ?? "");
+        const issuedMs = Number.parseInt(String(v?.issuedMs ?? ""), 10);
+        if (!userId || !gt || !v.code || !Number.isFinite(issuedMs)) continue;
+
+        linkCodes.set(userId, { gamertag: gt, code: String(v.code), issuedMs });
+      }
+    }
+
+    const verifications = new Map();
+
+    if (parsed?.verifications && typeof parsed.verifications === "object") {
+      for (const [userId, v] of Object.entries(parsed.verifications)) {
+        const checkedMs = Number.parseInt(String(v?.checkedMs ?? ""), 10);
+        if (!userId || !v?.gamertag || !Number.isFinite(checkedMs)) continue;
+
+        verifications.set(userId, {
+          gamertag: String(v.gamertag),
+          xuid: v.xuid ? String(v.xuid) : null,
+          result: v.result === "passed" ? "passed" : "review",
+          reason: String(v.reason ?? ""),
+          checkedMs,
+        });
+      }
+    }
+
+    const reviewLog = (Array.isArray(parsed?.reviewLog) ? parsed.reviewLog : [])
+      .filter((r) => r?.action && r?.k && Number.isFinite(r.atMs))
+      .slice(-REVIEW_LOG_MAX);
+
     return {
       checked,
       pending,
       lastDigestMs,
+      nextDigestMs: Number.parseInt(String(parsed?.nextDigestMs ?? "0"), 10) || 0,
       flaggedAll,
       trusted: normalizedTrusted,
       traderStats,
+      queue,
+      queuePaused: parsed?.queuePaused === true,
+      xblCooldownUntilMs,
+      players,
+      unresolved,
+      unresolvable,
+      xblCooldownReason: String(parsed?.xblCooldownReason ?? ""),
+      xblAuthFailedMs: Number.parseInt(String(parsed?.xblAuthFailedMs ?? "0"), 10) || 0,
+      presence,
+      presenceUpdatedMs: parsed?.presenceUpdatedMs && typeof parsed.presenceUpdatedMs === "object"
+        ? parsed.presenceUpdatedMs
+        : {},
+      sessions,
+      playtime,
+      onlineAlerts,
+      bans,
+      notes,
+      nextNoteId: Number.parseInt(String(parsed?.nextNoteId ?? "1"), 10) || 1,
+      links,
+      linkCodes,
+      verifications,
+      reviewLog,
     };
   } catch {
-    return {
-      checked: new Set(),
-      pending: new Map(),
-      lastDigestMs: 0,
-      flaggedAll: new Map(),
-      trusted: {},
-      traderStats: defaultTraderStats(),
-    };
+    return defaultState();
   }
 }
 
@@ -233,37 +618,291 @@ function saveState() {
   const flaggedAllObj = {};
   for (const [k, v] of state.flaggedAll.entries()) flaggedAllObj[k] = v;
 
+  const checkedObj = {};
+  for (const k of Array.from(state.checked.keys()).sort((a, b) => a.localeCompare(b))) {
+    checkedObj[k] = state.checked.get(k);
+  }
+
   fs.writeFileSync(STATE_FILE, JSON.stringify({
-    checked: Array.from(state.checked.values()).sort((a, b) => a.localeCompare(b)),
+    checked: checkedObj,
     pending: pendingObj,
     lastDigestMs: state.lastDigestMs,
+    nextDigestMs: state.nextDigestMs,
     trusted: state.trusted,
     flaggedAll: flaggedAllObj,
     traderStats: state.traderStats,
+    queue: state.queue,
+    queuePaused: state.queuePaused,
+    xblCooldownUntilMs: state.xblCooldownUntilMs,
+    players: Object.fromEntries(state.players),
+    unresolved: Object.fromEntries(state.unresolved),
+    unresolvable: Object.fromEntries(state.unresolvable),
+    xblCooldownReason: state.xblCooldownReason,
+    xblAuthFailedMs: state.xblAuthFailedMs,
+    presence: Object.fromEntries(state.presence),
+    presenceUpdatedMs: state.presenceUpdatedMs,
+    playtime: Object.fromEntries(state.playtime),
+    onlineAlerts: Object.fromEntries(state.onlineAlerts),
+    bans: Object.fromEntries(state.bans),
+    notes: Object.fromEntries(state.notes),
+    nextNoteId: state.nextNoteId,
+    links: Object.fromEntries(state.links),
+    linkCodes: Object.fromEntries(state.linkCodes),
+    verifications: Object.fromEntries(state.verifications),
+    reviewLog: state.reviewLog,
   }, null, 2), "utf8");
 }
 
 let state = loadState();
 
 if (RESET_STATE) {
-  state = {
-    checked: new Set(),
-    pending: new Map(),
-    lastDigestMs: 0,
-    trusted: {},
-    flaggedAll: new Map(),
-    traderStats: defaultTraderStats(),
-  };
-
+  state = defaultState();
   saveState();
 }
 
+// A checked entry counts until RECHECK_AFTER_DAYS passes. 0 keeps entries forever.
+function isCheckedFresh(k) {
+  const entry = state.checked.get(playerKey(k));
+  if (!entry) return false;
+  if (RECHECK_AFTER_DAYS <= 0) return true;
+
+  return nowMs() - entry.checkedMs < RECHECK_AFTER_DAYS * 24 * 60 * 60 * 1000;
+}
+
 function isTrustedKey(k) {
-  return !!state.trusted?.[k];
+  return !!state.trusted?.[playerKey(k)];
+}
+
+// For keys taken from a store itself, which may be an older gamertag key whose name has since
+// resolved to another account.
+function isTrustedRecordKey(key) {
+  return !!state.trusted?.[key];
+}
+
+function isTrustedXuid(xuid) {
+  if (!xuid) return false;
+  return !!state.trusted?.[xuidKey(xuid)];
+}
+
+// Player registry: state.players maps XUID -> { xuid, gamertag, gamertags[], firstSeenMs, lastSeenMs }.
+// Trusted, pending, flagged, checked and note records are keyed by "xuid:<id>" once the account is
+// known, so a rename or a reused gamertag can't move them to the wrong player. Records for names that
+// never resolved stay under their gtKey. playerKeyIndex maps a current gamertag to its XUID and is
+// how names from the online list find their records.
+const XUID_KEY_PREFIX = "xuid:";
+const playerKeyIndex = new Map();
+
+function rebuildPlayerKeyIndex() {
+  playerKeyIndex.clear();
+
+  const players = Array.from(state.players.values()).sort((a, b) => a.lastSeenMs - b.lastSeenMs);
+  for (const p of players) playerKeyIndex.set(gtKey(p.gamertag), p.xuid);
+}
+
+rebuildPlayerKeyIndex();
+
+function getPlayerByKey(k) {
+  const xuid = xuidForKey(k);
+  return xuid ? state.players.get(xuid) ?? null : null;
+}
+
+function xuidKey(xuid) {
+  return `${XUID_KEY_PREFIX}${xuid}`;
+}
+
+// Accepts a gtKey or a record key and returns the XUID it points at, if known.
+function xuidForKey(k) {
+  if (k.startsWith(XUID_KEY_PREFIX)) return k.slice(XUID_KEY_PREFIX.length);
+  return playerKeyIndex.get(k) ?? null;
+}
+
+// Record key for a gtKey (or an existing record key).
+function playerKey(k) {
+  const xuid = xuidForKey(k);
+  return xuid ? xuidKey(xuid) : k;
+}
+
+// Record key for a player about to be written. Prefer the XUID from the lookup itself.
+function playerKeyFor(gamertag, xuid = null) {
+  return xuid ? xuidKey(String(xuid)) : playerKey(gtKey(gamertag));
+}
+
+function playerRecordStores() {
+  return [
+    {
+      entries: () => Object.entries(state.trusted),
+      get: (k) => state.trusted[k],
+      set: (k, v) => { state.trusted[k] = v; },
+      del: (k) => { delete state.trusted[k]; },
+    },
+    ...[state.pending, state.flaggedAll, state.checked].map((map) => ({
+      entries: () => Array.from(map.entries()),
+      get: (k) => map.get(k),
+      set: (k, v) => map.set(k, v),
+      del: (k) => map.delete(k),
+    })),
+    {
+      entries: () => Array.from(state.notes.entries()),
+      get: (k) => state.notes.get(k),
+      set: (k, v) => state.notes.set(k, v),
+      del: (k) => state.notes.delete(k),
+      // Notes written under two names of the same account are kept together.
+      merge: (k, v) => {
+        const target = state.notes.get(k);
+        target.entries = [...target.entries, ...v.entries].sort((a, b) => a.createdMs - b.createdMs);
+      },
+    },
+  ];
+}
+
+// Moves a record saved under a gtKey to its account's XUID key. An existing record on the XUID
+// key wins, except for notes, which are merged.
+function moveRecordToXuidKey(store, k, v) {
+  const key = xuidKey(v.xuid);
+
+  store.del(k);
+  if (!store.get(key)) store.set(key, v);
+  else store.merge?.(key, v);
+}
+
+// Brings the account's records up to date after a lookup of gamertag k resolved to xuid.
+// A record saved under k before any XUID was known is only claimed when k is the name the
+// account already had (or its first lookup); a name the account was just renamed to may have
+// belonged to someone else when the record was written.
+function syncPlayerRecords(xuid, k, gamertag, claimLegacy) {
+  let changed = false;
+
+  for (const store of playerRecordStores()) {
+    const legacy = store.get(k);
+
+    if (legacy && legacy.xuid) {
+      moveRecordToXuidKey(store, k, legacy);
+      changed = true;
+    } else if (legacy && claimLegacy) {
+      legacy.xuid = xuid;
+      moveRecordToXuidKey(store, k, legacy);
+      changed = true;
+    }
+
+    const record = store.get(xuidKey(xuid));
+    if (record && record.gamertag !== gamertag) {
+      record.gamertag = gamertag;
+      changed = true;
+    }
+  }
+
+  // Member links are keyed by Discord user id, so only their gamertag needs to follow.
+  for (const link of state.links.values()) {
+    if (link.xuid === xuid && link.gamertag !== gamertag) {
+      link.gamertag = gamertag;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+// Records a resolved profile in the registry and keeps the account's records on its latest gamertag.
+function recordPlayerProfile(profile) {
+  if (!profile?.xuid || !profile?.gamertag) return null;
+
+  const xuid = String(profile.xuid);
+  const gt = normalizeGamertag(profile.gamertag);
+  const k = gtKey(gt);
+  const t = nowMs();
+
+  let player = state.players.get(xuid);
+  const firstLookup = !player;
+  if (!player) {
+    player = { xuid, gamertag: gt, gamertags: [], firstSeenMs: t, lastSeenMs: t };
+    state.players.set(xuid, player);
+  }
+
+  const previousGamertag = player.gamertag;
+  const renamed = gtKey(previousGamertag) !== k;
+
+  let alias = player.gamertags.find((a) => gtKey(a.gamertag) === k);
+  if (!alias) {
+    alias = { gamertag: gt, firstSeenMs: t, lastSeenMs: t };
+    player.gamertags.push(alias);
+  }
+
+  alias.gamertag = gt;
+  alias.lastSeenMs = t;
+  player.gamertag = gt;
+  player.lastSeenMs = t;
+
+  if (renamed && playerKeyIndex.get(gtKey(previousGamertag)) === xuid) {
+    playerKeyIndex.delete(gtKey(previousGamertag));
+  }
+
+  playerKeyIndex.set(k, xuid);
+
+  if (syncPlayerRecords(xuid, k, gt, firstLookup || !renamed) && renamed) {
+    console.log(`[PLAYERS] ${previousGamertag} is now ${gt} (XUID ${xuid}). Saved records now show the new gamertag.`);
+  }
+
+  saveState();
+
+  return { player, renamedFrom: renamed ? previousGamertag : null };
+}
+
+function previousGamertagsForPlayer(player) {
+  if (!player) return [];
+
+  return player.gamertags
+    .filter((a) => gtKey(a.gamertag) !== gtKey(player.gamertag))
+    .sort((a, b) => b.lastSeenMs - a.lastSeenMs);
+}
+
+// Seeds the registry from checked entries, then moves records saved under a gtKey to their
+// account's XUID key. A record without an XUID is only linked when that same gamertag was
+// resolved (its checked entry or a cached profile lookup), never through a later rename.
+function migratePlayerRegistry() {
+  let players = 0;
+  let moved = 0;
+
+  for (const v of state.checked.values()) {
+    if (!v.xuid || state.players.has(v.xuid)) continue;
+
+    const gt = normalizeGamertag(v.gamertag);
+    state.players.set(v.xuid, {
+      xuid: v.xuid,
+      gamertag: gt,
+      gamertags: [{ gamertag: gt, firstSeenMs: v.checkedMs, lastSeenMs: v.checkedMs }],
+      firstSeenMs: v.checkedMs,
+      lastSeenMs: v.checkedMs,
+    });
+    players++;
+  }
+
+  rebuildPlayerKeyIndex();
+
+  const resolvedXuid = new Map();
+  for (const [k, v] of state.checked.entries()) {
+    if (!k.startsWith(XUID_KEY_PREFIX) && v?.xuid) resolvedXuid.set(k, v.xuid);
+  }
+
+  for (const store of playerRecordStores()) {
+    for (const [k, v] of store.entries()) {
+      if (!v || k.startsWith(XUID_KEY_PREFIX)) continue;
+
+      if (!v.xuid) v.xuid = resolvedXuid.get(k) ?? profileCache.gamertags.get(k) ?? null;
+      if (!v.xuid) continue;
+
+      moveRecordToXuidKey(store, k, v);
+      moved++;
+    }
+  }
+
+  if (players || moved) {
+    saveState();
+    console.log(`[PLAYERS] Registry migration: ${players} player(s) added, ${moved} record(s) moved to an XUID key.`);
+  }
 }
 
 function trustedDisplayForKey(k) {
-  return state.trusted?.[k]?.gamertag || k;
+  return state.trusted?.[playerKey(k)]?.gamertag || k;
 }
 
 const client = new Client({
@@ -275,6 +914,11 @@ const client = new Client({
   partials: [Partials.Message, Partials.Channel],
 });
 
+const STAFF_COMMANDS = new Set(["xflagged", "xtrust", "xqueue", "xparser", "xseen", "xstats", "xrenames", "xban", "xnote", "xexport"]);
+
+// Commands whose replies can carry codes or other members' details are only shown to the caller.
+const EPHEMERAL_COMMANDS = new Set(["xlink", "xverify"]);
+
 function isStaff(interaction) {
   const perms = interaction.memberPermissions;
   const hasManageGuild = perms?.has(PermissionsBitField.Flags.ManageGuild);
@@ -295,6 +939,9 @@ async function autoDeployCommandsIfEnabled() {
       .setDescription("Check an Xbox gamertag's gamerscore against the configured threshold.")
       .addStringOption((opt) =>
         opt.setName("gamertag").setDescription("Xbox gamertag").setRequired(true)
+      )
+      .addBooleanOption((opt) =>
+        opt.setName("refresh").setDescription("Staff only: skip the profile cache.").setRequired(false)
       ),
 
     new SlashCommandBuilder()
@@ -302,6 +949,9 @@ async function autoDeployCommandsIfEnabled() {
       .setDescription("Fetch detailed Xbox profile info. Only shows fields that are available.")
       .addStringOption((opt) =>
         opt.setName("gamertag").setDescription("Xbox gamertag").setRequired(true)
+      )
+      .addBooleanOption((opt) =>
+        opt.setName("refresh").setDescription("Staff only: skip the profile cache.").setRequired(false)
       ),
 
     new SlashCommandBuilder()
@@ -309,10 +959,11 @@ async function autoDeployCommandsIfEnabled() {
       .setDescription("Show low-gamerscore gamertags saved by the bot.")
       .addStringOption((opt) =>
         opt.setName("scope")
-          .setDescription("pending = since last digest; all = all-time saved")
+          .setDescription("pending = since last digest; all = all-time saved; unresolvable = gave up")
           .addChoices(
             { name: "pending", value: "pending" },
-            { name: "all", value: "all" }
+            { name: "all", value: "all" },
+            { name: "unresolvable", value: "unresolvable" }
           )
           .setRequired(false)
       ),
@@ -333,58 +984,406 @@ async function autoDeployCommandsIfEnabled() {
       .addStringOption((opt) =>
         opt.setName("gamertag").setDescription("Gamertag(s).").setRequired(false)
       ),
-  ].map((c) => c.toJSON());
-
-  const rest = new REST({ version: "10" }).setToken(DISCORD_TOKEN);
-  await rest.put(Routes.applicationGuildCommands(DISCORD_CLIENT_ID, GUILD_ID), { body: commands });
-}
-
-async function fetchJsonWithTimeout(url, options, timeoutMs = 8000) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
 
-  try {
-    const res = await fetch(url, { ...options, signal: controller.signal });
-    const text = await res.text();
+    new SlashCommandBuilder()
+      .setName("xqueue")
+      .setDescription("Inspect and manage the background gamertag check queue.")
+      .addStringOption((opt) =>
+        opt.setName("action")
+          .setDescription("status/front/remove/clear/pause/resume")
+          .addChoices(
+            { name: "status", value: "status" },
+            { name: "front", value: "front" },
+            { name: "remove", value: "remove" },
+            { name: "clear", value: "clear" },
+            { name: "pause", value: "pause" },
+            { name: "resume", value: "resume" }
+          )
+          .setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("gamertag").setDescription("Gamertag for front/remove.").setRequired(false)
+      ),
 
-    let data = null;
-    try { data = JSON.parse(text); } catch {}
+    new SlashCommandBuilder()
+      .setName("xparser")
+      .setDescription("Test an online list parser profile against the latest list message.")
+      .addStringOption((opt) =>
+        opt.setName("profile").setDescription("Parser profile name (defaults to the server's own).").setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("server").setDescription("Server whose list to read (defaults to the first).").setRequired(false)
+      ),
 
-    return { res, data };
-  } finally {
-    clearTimeout(timer);
-  }
-}
+    new SlashCommandBuilder()
+      .setName("xseen")
+      .setDescription("Show when a player was last online, or who was online around a time.")
+      .addStringOption((opt) =>
+        opt.setName("gamertag").setDescription("Xbox gamertag").setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("at").setDescription("Time in ET, e.g. 2026-10-17 21:00 or yesterday 9pm.").setRequired(false)
+      )
+      .addIntegerOption((opt) =>
+        opt.setName("window").setDescription("Minutes either side of the time (default 30).").setMinValue(1).setMaxValue(720).setRequired(false)
+      ),
 
-class RateLimitError extends Error {
-  constructor(message, retryAfterMs = null) {
-    super(message);
-    this.name = "RateLimitError";
-    this.retryAfterMs = retryAfterMs;
-  }
-}
+    new SlashCommandBuilder()
+      .setName("xstats")
+      .setDescription("Show server population history.")
+      .addIntegerOption((opt) =>
+        opt.setName("days").setDescription("How many days to cover (default 7).").setMinValue(1).setMaxValue(90).setRequired(false)
+      )
+      .addBooleanOption((opt) =>
+        opt.setName("csv").setDescription("Attach the raw samples as a CSV file.").setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("server").setDescription("Server to report on (defaults to the first).").setRequired(false)
+      ),
 
-function parseRetryAfterMs(res) {
-  const ra = res.headers?.get?.("retry-after");
-  if (!ra) return null;
+    new SlashCommandBuilder()
+      .setName("xrenames")
+      .setDescription("Show channel renames waiting on Discord's rename limit."),
 
-  const sec = Number.parseFloat(ra);
-  if (!Number.isFinite(sec)) return null;
+    new SlashCommandBuilder()
+      .setName("xban")
+      .setDescription("Manage the ban registry. Banned and lookalike gamertags are alerted when online.")
+      .addStringOption((opt) =>
+        opt.setName("action")
+          .setDescription("add/remove/list/info")
+          .addChoices(
+            { name: "add", value: "add" },
+            { name: "remove", value: "remove" },
+            { name: "list", value: "list" },
+            { name: "info", value: "info" }
+          )
+          .setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName("gamertag").setDescription("Gamertag for add/remove/info.").setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("reason").setDescription("Reason for the ban (required for add).").setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("evidence").setDescription("Link to evidence.").setRequired(false)
+      )
+      .addIntegerOption((opt) =>
+        opt.setName("days").setDescription("Ban length in days. Leave empty for permanent.").setMinValue(1).setRequired(false)
+      ),
 
-  return Math.max(0, Math.round(sec * 1000));
-}
+    new SlashCommandBuilder()
+      .setName("xnote")
+      .setDescription("Attach staff notes to a gamertag.")
+      .addStringOption((opt) =>
+        opt.setName("action")
+          .setDescription("add/list/delete")
+          .addChoices(
+            { name: "add", value: "add" },
+            { name: "list", value: "list" },
+            { name: "delete", value: "delete" }
+          )
+          .setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName("gamertag").setDescription("Gamertag for add/list.").setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("text").setDescription("Note text for add.").setMaxLength(500).setRequired(false)
+      )
+      .addIntegerOption((opt) =>
+        opt.setName("id").setDescription("Note number for delete, as shown by list.").setMinValue(1).setRequired(false)
+      ),
 
-async function openXblFetchJson(url) {
-  const { res, data } = await fetchJsonWithTimeout(url, {
-    method: "GET",
-    headers: {
-      "X-Authorization": XBL_API_KEY,
-      Accept: "application/json",
-    },
-  }, 8000);
+    new SlashCommandBuilder()
+      .setName("xlink")
+      .setDescription("Link your Discord account to your Xbox gamertag.")
+      .addStringOption((opt) =>
+        opt.setName("action")
+          .setDescription("start/verify/view/list/revoke")
+          .addChoices(
+            { name: "start", value: "start" },
+            { name: "verify", value: "verify" },
+            { name: "view", value: "view" },
+            { name: "list", value: "list" },
+            { name: "revoke", value: "revoke" }
+          )
+          .setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName("gamertag").setDescription("Your gamertag for start. Staff: a linked gamertag for view/revoke.").setRequired(false)
+      )
+      .addUserOption((opt) =>
+        opt.setName("member").setDescription("Staff: the member for view/revoke.").setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("xverify")
+      .setDescription("Get the verified role by checking your Xbox account.")
+      .addStringOption((opt) =>
+        opt.setName("gamertag").setDescription("Your gamertag. Not needed if you linked it with /xlink.").setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("xexport")
+      .setDescription("Download trusted, flagged or checked records, or the review log, as a file.")
+      .addStringOption((opt) =>
+        opt.setName("dataset")
+          .setDescription("trusted/pending/flagged/checked/reviews")
+          .addChoices(
+            { name: "trusted", value: "trusted" },
+            { name: "pending", value: "pending" },
+            { name: "flagged (all-time)", value: "flagged" },
+            { name: "checked", value: "checked" },
+            { name: "reviews (log)", value: "reviews" }
+          )
+          .setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName("format")
+          .setDescription("csv/json (default csv)")
+          .addChoices(
+            { name: "csv", value: "csv" },
+            { name: "json", value: "json" }
+          )
+          .setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("from").setDescription("Only records active on or after this date (YYYY-MM-DD, ET).").setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt.setName("to").setDescription("Only records active on or before this date (YYYY-MM-DD, ET).").setRequired(false)
+      ),
+  ].map((c) => c.toJSON());
+
+  const rest = new REST({ version: "10" }).setToken(DISCORD_TOKEN);
+  await rest.put(Routes.applicationGuildCommands(DISCORD_CLIENT_ID, GUILD_ID), { body: commands });
+}
+
+async function fetchJsonWithTimeout(url, options, timeoutMs = 8000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    const text = await res.text();
+
+    let data = null;
+    try { data = JSON.parse(text); } catch {}
+
+    return { res, data };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+class RateLimitError extends Error {
+  constructor(message, retryAfterMs = null) {
+    super(message);
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Our own request budget ran out before the call was made. Retrying would only wait longer.
+class XblBudgetExhaustedError extends RateLimitError {
+  constructor(message = "OpenXBL request budget exhausted", retryAfterMs = null) {
+    super(message, retryAfterMs);
+    this.name = "XblBudgetExhaustedError";
+  }
+}
+
+// The API key was rejected (HTTP 401/403).
+class XblAuthError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = "XblAuthError";
+    this.status = status;
+  }
+}
+
+class XblNotFoundError extends Error {
+  constructor(message = "Gamertag not found.") {
+    super(message);
+    this.name = "XblNotFoundError";
+  }
+}
+
+// OpenXBL answered with a 5xx or could not be reached at all.
+class XblUpstreamError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = "XblUpstreamError";
+    this.status = status;
+  }
+}
+
+class XblTimeoutError extends Error {
+  constructor(message = "OpenXBL request timed out") {
+    super(message);
+    this.name = "XblTimeoutError";
+  }
+}
+
+function isXblOutageError(err) {
+  return err instanceof XblUpstreamError || err instanceof XblTimeoutError;
+}
+
+function parseRetryAfterMs(res) {
+  const ra = res.headers?.get?.("retry-after");
+  if (!ra) return null;
+
+  const sec = Number.parseFloat(ra);
+  if (!Number.isFinite(sec)) return null;
+
+  return Math.max(0, Math.round(sec * 1000));
+}
+
+// Proactive OpenXBL request budget. A token bucket refills at XBL_CALLS_PER_HOUR and is
+// capped by the quota OpenXBL reports in its rate limit headers. Interactive calls may
+// spend the whole budget; background calls leave XBL_BACKGROUND_RESERVE untouched and
+// always yield to interactive calls that are waiting.
+const xblBudget = {
+  tokens: XBL_CALLS_PER_HOUR,
+  lastRefillMs: nowMs(),
+  remoteRemaining: null,
+  remoteResetMs: 0,
+  interactiveWaiting: 0,
+};
+
+function refillXblBudget() {
+  const now = nowMs();
+  const elapsed = Math.max(0, now - xblBudget.lastRefillMs);
+
+  xblBudget.tokens = Math.min(
+    XBL_CALLS_PER_HOUR,
+    xblBudget.tokens + (elapsed * XBL_CALLS_PER_HOUR) / (60 * 60 * 1000)
+  );
+  xblBudget.lastRefillMs = now;
+
+  if (xblBudget.remoteResetMs && xblBudget.remoteResetMs <= now) {
+    xblBudget.remoteRemaining = null;
+    xblBudget.remoteResetMs = 0;
+  }
+}
+
+function availableXblCalls() {
+  refillXblBudget();
+
+  return xblBudget.remoteRemaining === null
+    ? xblBudget.tokens
+    : Math.min(xblBudget.tokens, xblBudget.remoteRemaining);
+}
+
+function xblBudgetWaitMs(needed) {
+  if (xblBudget.remoteRemaining !== null && xblBudget.remoteRemaining < needed) {
+    return Math.max(1000, xblBudget.remoteResetMs - nowMs());
+  }
+
+  const msPerToken = (60 * 60 * 1000) / XBL_CALLS_PER_HOUR;
+  return Math.max(250, Math.ceil((needed - xblBudget.tokens) * msPerToken));
+}
+
+function recordXblBudgetHeaders(res) {
+  const remaining = parseIntOrNull(res.headers?.get?.("x-ratelimit-remaining"));
+  const reset = Number.parseFloat(res.headers?.get?.("x-ratelimit-reset") ?? "");
+
+  if (remaining === null) return;
+
+  xblBudget.remoteRemaining = remaining;
+
+  if (Number.isFinite(reset)) {
+    // Accept either an epoch timestamp or a number of seconds until the reset.
+    xblBudget.remoteResetMs = reset > 1e9 ? Math.round(reset * 1000) : nowMs() + Math.round(reset * 1000);
+  } else if (xblBudget.remoteResetMs <= nowMs()) {
+    xblBudget.remoteResetMs = nowMs() + 60 * 60 * 1000;
+  }
+}
+
+function exhaustXblBudget(retryAfterMs) {
+  xblBudget.tokens = 0;
+  xblBudget.lastRefillMs = nowMs();
+  xblBudget.remoteRemaining = 0;
+  xblBudget.remoteResetMs = nowMs() + (retryAfterMs ?? XBL_BACKOFF_BASE_MS);
+}
+
+async function acquireXblBudget(priority = "background") {
+  const interactive = priority === "interactive";
+  const needed = interactive ? 1 : 1 + XBL_BACKGROUND_RESERVE;
+  const startedMs = nowMs();
+
+  if (interactive) xblBudget.interactiveWaiting += 1;
+
+  try {
+    while (true) {
+      if (availableXblCalls() >= needed && (interactive || xblBudget.interactiveWaiting === 0)) {
+        xblBudget.tokens -= 1;
+        if (xblBudget.remoteRemaining !== null) xblBudget.remoteRemaining -= 1;
+        return;
+      }
+
+      const waitMs = interactive ? xblBudgetWaitMs(needed) : Math.min(60000, xblBudgetWaitMs(needed));
+
+      if (interactive && nowMs() - startedMs + waitMs > XBL_INTERACTIVE_MAX_WAIT_MS) {
+        throw new XblBudgetExhaustedError("OpenXBL request budget exhausted", waitMs);
+      }
+
+      await sleep(waitMs);
+    }
+  } finally {
+    if (interactive) xblBudget.interactiveWaiting -= 1;
+  }
+}
+
+// Background scrub spacing. Stretches SCRUB_DELAY_MS once less than half the budget is left.
+function scrubDelayForBudgetMs() {
+  const fraction = availableXblCalls() / XBL_CALLS_PER_HOUR;
+  if (fraction >= 0.5) return SCRUB_DELAY_MS;
+
+  return Math.round(SCRUB_DELAY_MS * Math.min(4, 0.5 / Math.max(fraction, 0.125)));
+}
+
+// A 404 from the gamertag search means the gamertag does not exist. Any other endpoint
+// answering 404 only means that data is missing (e.g. no account details or achievements),
+// so the request returns null instead.
+async function openXblFetchJson(url, { priority = "background", gamertagSearch = false } = {}) {
+  await acquireXblBudget(priority);
+
+  let res;
+  let data;
+
+  try {
+    ({ res, data } = await fetchJsonWithTimeout(url, {
+      method: "GET",
+      headers: {
+        "X-Authorization": XBL_API_KEY,
+        Accept: "application/json",
+      },
+    }, 8000));
+  } catch (err) {
+    if (err?.name === "AbortError") throw new XblTimeoutError();
+    throw new XblUpstreamError(`OpenXBL unreachable: ${err?.message ?? err}`);
+  }
+
+  recordXblBudgetHeaders(res);
 
   if (res.status === 429) {
-    throw new RateLimitError("OpenXBL rate limited (HTTP 429)", parseRetryAfterMs(res));
+    const retryAfterMs = parseRetryAfterMs(res);
+    exhaustXblBudget(retryAfterMs);
+    throw new RateLimitError("OpenXBL rate limited (HTTP 429)", retryAfterMs);
+  }
+
+  if (res.status === 401 || res.status === 403) {
+    throw new XblAuthError(`OpenXBL rejected the API key (HTTP ${res.status})`, res.status);
+  }
+
+  if (res.status === 404) {
+    if (gamertagSearch) throw new XblNotFoundError();
+    return null;
+  }
+
+  if (res.status >= 500) {
+    throw new XblUpstreamError(`OpenXBL is unavailable (HTTP ${res.status})`, res.status);
   }
 
   if (!res.ok) {
@@ -394,14 +1393,14 @@ async function openXblFetchJson(url) {
   return data;
 }
 
-async function openXblFetchWithRetry(url) {
+async function openXblFetchWithRetry(url, { priority = "background", gamertagSearch = false } = {}) {
   let attempt = 0;
 
   while (true) {
     try {
-      return await openXblFetchJson(url);
+      return await openXblFetchJson(url, { priority, gamertagSearch });
     } catch (err) {
-      if (err instanceof RateLimitError) {
+      if (err instanceof RateLimitError && !(err instanceof XblBudgetExhaustedError)) {
         attempt += 1;
 
         if (attempt > XBL_MAX_RETRIES) {
@@ -413,6 +1412,11 @@ async function openXblFetchWithRetry(url) {
           err.retryAfterMs ?? XBL_BACKOFF_BASE_MS
         );
 
+        // A slash command cannot wait out a long backoff before its interaction expires.
+        if (priority === "interactive" && backoff > XBL_INTERACTIVE_MAX_WAIT_MS) {
+          throw err;
+        }
+
         console.warn(`[OPENXBL] Rate limited. Waiting ${Math.round(backoff / 1000)}s before retry ${attempt}/${XBL_MAX_RETRIES}.`);
         await sleep(backoff);
         continue;
@@ -443,10 +1447,10 @@ function unwrapOpenXblContent(data) {
   return data;
 }
 
-async function openXblSearch(gamertag) {
+async function openXblSearch(gamertag, { priority = "background" } = {}) {
   const wanted = normalizeGamertag(gamertag);
   const wantedLower = wanted.toLowerCase();
-  const data = await openXblFetchWithRetry(`https://xbl.io/api/v2/search/${encodeURIComponent(wanted)}`);
+  const data = await openXblFetchWithRetry(`https://xbl.io/api/v2/search/${encodeURIComponent(wanted)}`, { priority, gamertagSearch: true });
   const payload = unwrapOpenXblContent(data);
 
   const people = Array.isArray(payload?.people)
@@ -457,7 +1461,7 @@ async function openXblSearch(gamertag) {
 
   if (!people.length) {
     console.warn(`[OPENXBL SEARCH EMPTY] ${wanted}: response keys=${Object.keys(data || {}).join(",") || "none"}; content keys=${Object.keys(payload || {}).join(",") || "none"}`);
-    throw new Error("Gamertag not found.");
+    throw new XblNotFoundError();
   }
 
   const best =
@@ -483,8 +1487,8 @@ async function openXblSearch(gamertag) {
   };
 }
 
-async function openXblAccount(xuid) {
-  return await openXblFetchWithRetry(`https://xbl.io/api/v2/account/${encodeURIComponent(xuid)}`);
+async function openXblAccount(xuid, { priority = "background" } = {}) {
+  return await openXblFetchWithRetry(`https://xbl.io/api/v2/account/${encodeURIComponent(xuid)}`, { priority });
 }
 
 function settingsToMap(settingsArr) {
@@ -541,9 +1545,9 @@ function deepFindNumbers(obj, keyNamesLower) {
   return out;
 }
 
-async function fetchOpenXblMergedProfile(gamertag) {
-  const person = await openXblSearch(gamertag);
-  const accData = await openXblAccount(person.xuid);
+async function fetchOpenXblMergedProfileLive(gamertag, { priority = "background" } = {}) {
+  const person = await openXblSearch(gamertag, { priority });
+  const accData = await openXblAccount(person.xuid, { priority });
   const accPayload = unwrapOpenXblContent(accData);
   const settingsMap = settingsToMap(accPayload?.profileUsers?.[0]?.settings || person?.settings);
 
@@ -575,988 +1579,4257 @@ async function fetchOpenXblMergedProfile(gamertag) {
   };
 }
 
-function addFieldIf(embed, name, value, inline = true) {
-  const v = (value ?? "").toString().trim();
-  if (!v) return;
-
-  embed.addFields({ name, value: v, inline });
+// Every provider returns this shape. Fields the source cannot supply are null.
+function toMergedProfile(raw) {
+  return {
+    gamertag: normalizeGamertag(raw?.gamertag ?? ""),
+    xuid: raw?.xuid ? String(raw.xuid) : null,
+    gamerscore: parseIntOrNull(raw?.gamerscore),
+    tier: raw?.tier ?? null,
+    gamerpic: raw?.gamerpic ?? null,
+    bio: raw?.bio ?? null,
+    location: raw?.location ?? null,
+    tenure: raw?.tenure ?? null,
+    presenceState: raw?.presenceState ?? null,
+    presenceText: raw?.presenceText ?? null,
+    lastSeen: raw?.lastSeen ?? null,
+    xboxRep: raw?.xboxRep ?? null,
+    hasGamePass: raw?.hasGamePass ?? null,
+    followerCount: parseIntOrNull(raw?.followerCount),
+    followingCount: parseIntOrNull(raw?.followingCount),
+    friendCount: parseIntOrNull(raw?.friendCount),
+  };
 }
 
-function formatBool(v) {
-  if (v === true) return "Yes";
-  if (v === false) return "No";
-  return "";
+function parseTimeMs(v) {
+  const t = Date.parse(String(v ?? ""));
+  return Number.isFinite(t) && t > 0 ? t : null;
 }
 
-function extractOnlineCountFromMessage(msg, parsedGamertags = []) {
-  const embedText = [];
+// Title history for one title. Returns null when the player has never played it, or
+// { unavailable: true } when OpenXBL returns no titles at all (usually a private profile).
+async function fetchOpenXblTitleHistoryLive(xuid, titleId, { priority = "background" } = {}) {
+  const data = unwrapOpenXblContent(await openXblFetchWithRetry(
+    `https://xbl.io/api/v2/achievements/player/${encodeURIComponent(xuid)}`,
+    { priority }
+  ));
 
-  for (const e of msg.embeds ?? []) {
-    if (e?.title) embedText.push(String(e.title));
-    if (e?.description) embedText.push(String(e.description));
+  const titles = Array.isArray(data?.titles) ? data.titles : [];
+  if (!titles.length) return { unavailable: true };
 
-    if (Array.isArray(e?.fields)) {
-      for (const f of e.fields) {
-        if (f?.name) embedText.push(String(f.name));
-        if (f?.value) embedText.push(String(f.value));
-      }
-    }
-  }
+  const title = titles.find((t) => String(t?.titleId ?? "") === String(titleId));
+  if (!title) return null;
 
-  const text = embedText.join("\n");
-  const countMatch =
-    text.match(/(?:online|players?|survivors?|on now)[^0-9]{0,30}(\d{1,3})\s*\/\s*(\d{1,3})/i) ||
-    text.match(/(\d{1,3})\s*\/\s*(\d{1,3})[^\n]*(?:online|players?|survivors?|on now)/i) ||
-    text.match(/(?:online|players?|survivors?|on now)[^0-9]{0,30}(\d{1,3})/i);
+  const achievementsEarned = parseIntOrNull(title?.achievement?.currentAchievements);
+  let firstPlayedMs = null;
 
-  if (countMatch) {
-    const count = Number.parseInt(countMatch[1], 10);
-    if (Number.isFinite(count)) return count;
+  // The title summary only has the last played time. The earliest unlock is the best
+  // first-played date OpenXBL offers, so only spend a call on it when there are unlocks.
+  if (achievementsEarned) {
+    const detail = unwrapOpenXblContent(await openXblFetchWithRetry(
+      `https://xbl.io/api/v2/achievements/player/${encodeURIComponent(xuid)}/${encodeURIComponent(titleId)}`,
+      { priority }
+    ));
+
+    const unlocks = (Array.isArray(detail?.achievements) ? detail.achievements : [])
+      .filter((a) => a?.progressState === "Achieved")
+      .map((a) => parseTimeMs(a?.progression?.timeUnlocked))
+      .filter((t) => t !== null);
+
+    if (unlocks.length) firstPlayedMs = Math.min(...unlocks);
   }
 
-  return parsedGamertags.length;
+  return {
+    titleId: String(titleId),
+    name: title?.name ?? null,
+    firstPlayedMs,
+    lastPlayedMs: parseTimeMs(title?.titleHistory?.lastTimePlayed),
+    achievementsEarned,
+    achievementsTotal: parseIntOrNull(title?.achievement?.totalAchievements),
+    gamerscoreEarned: parseIntOrNull(title?.achievement?.currentGamerscore),
+    gamerscoreTotal: parseIntOrNull(title?.achievement?.totalGamerscore),
+  };
 }
 
-async function updateOnlineCountChannel(guild, count) {
-  if (!ONLINE_COUNT_CHANNEL_ID || !guild) return;
-
-  const channel = await guild.channels.fetch(ONLINE_COUNT_CHANNEL_ID).catch(() => null);
-  if (!channel || typeof channel.setName !== "function") return;
+function createOpenXblProvider() {
+  return {
+    name: "openxbl",
+    fetchMergedProfile: (gamertag, options) => fetchOpenXblMergedProfileLive(gamertag, options),
+    fetchTitleHistory: (xuid, titleId, options) => fetchOpenXblTitleHistoryLive(xuid, titleId, options),
+  };
+}
 
-  const botMember = guild.members.me ?? await guild.members.fetchMe().catch(() => null);
-  const perms = botMember ? channel.permissionsFor(botMember) : null;
+// Serves profiles from a JSON fixture file so the bot can run without OpenXBL.
+// The file is re-read on every lookup, so fixtures can be edited while running.
+// An entry can set "simulate" to "rateLimit", "auth", "outage", "timeout" or "error" to
+// exercise failure paths, and
+// "titles" to a map of title ID -> { name, firstPlayed, lastPlayed, achievementsEarned, ... }.
+// "titles": null simulates a profile whose title history is private.
+function createFakeXboxProvider(fixturesFile) {
+  const readFixtures = () => {
+    const parsed = JSON.parse(fs.readFileSync(fixturesFile, "utf8"));
+    return Array.isArray(parsed?.profiles) ? parsed.profiles : [];
+  };
 
-  if (!perms?.has(PermissionsBitField.Flags.ManageChannels)) {
-    console.warn("[ONLINE COUNT] Missing Manage Channels permission for online count channel.");
-    return;
-  }
+  return {
+    name: "fake",
+    async fetchMergedProfile(gamertag) {
+      const k = gtKey(gamertag);
+      const entry = readFixtures().find((p) =>
+        gtKey(p?.gamertag) === k ||
+        (Array.isArray(p?.aliases) && p.aliases.some((a) => gtKey(a) === k))
+      );
 
-  const desiredName = `\uD83D\uDFE2 On Now ${count}/${ONLINE_COUNT_MAX_PLAYERS}`;
+      if (!entry) throw new XblNotFoundError();
+      if (entry.simulate === "rateLimit") throw new RateLimitError("Fake provider rate limited", 60000);
+      if (entry.simulate === "auth") throw new XblAuthError("Fake provider rejected the API key", 401);
+      if (entry.simulate === "outage") throw new XblUpstreamError("Fake provider is unavailable", 503);
+      if (entry.simulate === "timeout") throw new XblTimeoutError();
+      if (entry.simulate === "error") throw new Error("Fake provider simulated failure.");
 
-  if (channel.name !== desiredName) {
-    await channel.setName(desiredName, "Online player count updated");
-  }
+      return toMergedProfile(entry);
+    },
+    async fetchTitleHistory(xuid, titleId) {
+      const entry = readFixtures().find((p) => String(p?.xuid ?? "") === String(xuid));
+
+      // Like OpenXBL, an unknown XUID here means missing data, not a missing gamertag.
+      if (!entry || entry.titles === null) return { unavailable: true };
+
+      const title = entry.titles?.[String(titleId)];
+      if (!title) return null;
+
+      return {
+        titleId: String(titleId),
+        name: title.name ?? null,
+        firstPlayedMs: parseTimeMs(title.firstPlayed),
+        lastPlayedMs: parseTimeMs(title.lastPlayed),
+        achievementsEarned: parseIntOrNull(title.achievementsEarned),
+        achievementsTotal: parseIntOrNull(title.achievementsTotal),
+        gamerscoreEarned: parseIntOrNull(title.gamerscoreEarned),
+        gamerscoreTotal: parseIntOrNull(title.gamerscoreTotal),
+      };
+    },
+  };
 }
 
-function extractGamertagsFromEmbeds(msg) {
-  const embeds = msg.embeds ?? [];
-  if (!embeds.length) return [];
+const xboxProvider = XBOX_PROVIDER === "fake"
+  ? createFakeXboxProvider(XBOX_FAKE_FIXTURES_FILE)
+  : createOpenXblProvider();
 
-  const chunks = [];
+// Cache-aware title history lookup, keyed by XUID and title ID. See fetchOpenXblTitleHistoryLive.
+async function fetchPlayerTitleHistory(xuid, titleId = XBL_TITLE_ID, { fresh = false, priority = "background" } = {}) {
+  const cacheKey = `${xuid}:${titleId}`;
+  const cached = profileCache.titles.get(cacheKey);
 
-  for (const e of embeds) {
-    if (e?.title) chunks.push(String(e.title));
-    if (e?.description) chunks.push(String(e.description));
+  if (!fresh && cached && nowMs() - cached.fetchedMs < PROFILE_CACHE_TTL_MS) return cached.history;
 
-    if (Array.isArray(e?.fields)) {
-      for (const f of e.fields) {
-        if (f?.name) chunks.push(String(f.name));
-        if (f?.value) chunks.push(String(f.value));
-      }
-    }
-  }
+  const history = await trackXblHealth(xboxProvider.fetchTitleHistory(xuid, titleId, { priority }));
 
-  const lines = chunks.join("\n").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-  const out = [];
-  const seen = new Set();
+  if (PROFILE_CACHE_TTL_MS > 0) {
+    profileCache.titles.set(cacheKey, { history, fetchedMs: nowMs() });
+    saveProfileCache();
+  }
 
-  for (let line of lines) {
-    line = stripMarkdown(line);
+  return history;
+}
 
-    const lower = line.toLowerCase();
-    if (lower.includes("online list") && lower.includes("players")) continue;
-    if (lower === "3xloot") continue;
+// Alerts staff once when the API key stops working and again when it recovers.
+// state.xblAuthFailedMs is saved so a restart does not repeat the alert.
+function noteXblAuthFailure(err) {
+  if (state.xblAuthFailedMs) return;
 
-    line = line.replace(/^[\u2022\-]+\s*/, "").trim();
+  state.xblAuthFailedMs = nowMs();
+  saveState();
+  console.error("[OPENXBL] API key rejected:", err?.message ?? err);
+
+  void sendModlogEmbed(new EmbedBuilder()
+    .setTitle("OpenXBL API Key Not Working")
+    .setDescription("OpenXBL is rejecting the bot's API key, so gamertag checks are failing. Background checks are paused and retried periodically. Check `XBL_API_KEY`.")
+    .addFields({ name: "Error", value: String(err?.message ?? err).slice(0, 1024), inline: false })
+    .setColor(0xff0000)
+    .setTimestamp());
+}
 
-    const gt = normalizeGamertag(line);
-    if (gt.length < 2 || gt.length > 20) continue;
-    if (!/^[a-zA-Z0-9 _.\-]+$/.test(gt)) continue;
+function noteXblRequestSucceeded() {
+  if (!state.xblAuthFailedMs) return;
 
-    const k = gtKey(gt);
-    if (seen.has(k)) continue;
+  const downMs = nowMs() - state.xblAuthFailedMs;
+  state.xblAuthFailedMs = 0;
 
-    seen.add(k);
-    out.push(gt);
+  // No need to wait out a pause that was only caused by the bad key.
+  if (state.xblCooldownReason === "API key rejected") {
+    state.xblCooldownUntilMs = 0;
+    state.xblCooldownReason = "";
   }
 
-  return out;
+  saveState();
+  console.log("[OPENXBL] API key is working again.");
+  void processQueue();
+
+  void sendModlogEmbed(new EmbedBuilder()
+    .setTitle("OpenXBL API Key Working Again")
+    .setDescription(`Gamertag checks are working again after ${formatDuration(downMs)}.`)
+    .setColor(0x00ff00)
+    .setTimestamp());
 }
 
-function addFlagged(profile) {
-  const k = gtKey(profile.gamertag);
-  if (!k || isTrustedKey(k)) return;
+async function trackXblHealth(promise) {
+  try {
+    const result = await promise;
+    noteXblRequestSucceeded();
+    return result;
+  } catch (err) {
+    if (err instanceof XblAuthError) noteXblAuthFailure(err);
+    else if (err instanceof XblNotFoundError) noteXblRequestSucceeded();
+    throw err;
+  }
+}
 
-  const t = nowMs();
+function loadProfileCache() {
+  const cache = {
+    profiles: new Map(),
+    gamertags: new Map(),
+    notFound: new Map(),
+    titles: new Map(),
+  };
 
-  const p = state.pending.get(k);
-  if (!p) {
-    state.pending.set(k, {
-      gamertag: profile.gamertag,
-      gamerscore: profile.gamerscore ?? 0,
-      firstSeenMs: t,
-      lastSeenMs: t,
-    });
-  } else {
-    p.gamertag = profile.gamertag;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(PROFILE_CACHE_FILE, "utf8"));
+    const now = nowMs();
 
-    if (profile.gamerscore !== null && profile.gamerscore !== undefined) {
-      p.gamerscore = profile.gamerscore;
+    for (const [xuid, v] of Object.entries(parsed?.profiles ?? {})) {
+      const fetchedMs = Number.parseInt(String(v?.fetchedMs ?? ""), 10) || 0;
+      if (!xuid || !v?.profile || now - fetchedMs >= PROFILE_CACHE_TTL_MS) continue;
+
+      cache.profiles.set(xuid, { profile: v.profile, fetchedMs });
     }
 
-    p.lastSeenMs = t;
-  }
+    for (const [k, xuid] of Object.entries(parsed?.gamertags ?? {})) {
+      if (cache.profiles.has(String(xuid))) cache.gamertags.set(k, String(xuid));
+    }
 
-  const a = state.flaggedAll.get(k);
-  if (!a) {
-    state.flaggedAll.set(k, {
-      gamertag: profile.gamertag,
-      lastKnownGS: profile.gamerscore ?? 0,
-      firstSeenMs: t,
-      lastSeenMs: t,
-    });
-  } else {
-    a.gamertag = profile.gamertag;
+    for (const [k, v] of Object.entries(parsed?.notFound ?? {})) {
+      const fetchedMs = Number.parseInt(String(v?.fetchedMs ?? ""), 10) || 0;
+      if (!k || now - fetchedMs >= PROFILE_CACHE_NOT_FOUND_TTL_MS) continue;
 
-    if (profile.gamerscore !== null && profile.gamerscore !== undefined) {
-      a.lastKnownGS = profile.gamerscore;
+      cache.notFound.set(k, { gamertag: String(v.gamertag ?? k), fetchedMs });
     }
 
-    a.lastSeenMs = t;
-  }
+    for (const [k, v] of Object.entries(parsed?.titles ?? {})) {
+      const fetchedMs = Number.parseInt(String(v?.fetchedMs ?? ""), 10) || 0;
+      if (!k || now - fetchedMs >= PROFILE_CACHE_TTL_MS) continue;
 
-  saveState();
+      cache.titles.set(k, { history: v.history ?? null, fetchedMs });
+    }
+  } catch {}
+
+  return cache;
 }
 
-function trustGamertag(gt) {
-  const original = normalizeGamertag(gt);
-  const k = gtKey(original);
+function saveProfileCache() {
+  const now = nowMs();
 
-  if (!k) return { ok: false, display: "" };
+  // Expired entries are dropped on write so the file does not grow forever.
+  for (const [xuid, v] of profileCache.profiles.entries()) {
+    if (now - v.fetchedMs >= PROFILE_CACHE_TTL_MS) profileCache.profiles.delete(xuid);
+  }
 
-  const wasFlagged = state.pending.has(k) || state.flaggedAll.has(k);
+  for (const [k, xuid] of profileCache.gamertags.entries()) {
+    if (!profileCache.profiles.has(xuid)) profileCache.gamertags.delete(k);
+  }
 
-  state.trusted[k] = { gamertag: original, addedMs: nowMs() };
-  state.pending.delete(k);
-  state.flaggedAll.delete(k);
+  for (const [k, v] of profileCache.notFound.entries()) {
+    if (now - v.fetchedMs >= PROFILE_CACHE_NOT_FOUND_TTL_MS) profileCache.notFound.delete(k);
+  }
 
-  saveState();
+  for (const [k, v] of profileCache.titles.entries()) {
+    if (now - v.fetchedMs >= PROFILE_CACHE_TTL_MS) profileCache.titles.delete(k);
+  }
 
-  return { ok: true, display: original, removedFlagged: wasFlagged };
+  fs.writeFileSync(PROFILE_CACHE_FILE, JSON.stringify({
+    profiles: Object.fromEntries(profileCache.profiles),
+    gamertags: Object.fromEntries(profileCache.gamertags),
+    notFound: Object.fromEntries(profileCache.notFound),
+    titles: Object.fromEntries(profileCache.titles),
+  }, null, 2), "utf8");
 }
 
-function untrustGamertag(gt) {
-  const original = normalizeGamertag(gt);
-  const k = gtKey(original);
+const profileCache = loadProfileCache();
 
-  if (!k) return { ok: false, display: "" };
+function getCachedProfileByXuid(xuid) {
+  const entry = profileCache.profiles.get(String(xuid ?? ""));
+  if (!entry || nowMs() - entry.fetchedMs >= PROFILE_CACHE_TTL_MS) return null;
 
-  const display = trustedDisplayForKey(k);
-  delete state.trusted[k];
+  return { ...entry.profile, fetchedMs: entry.fetchedMs };
+}
 
-  saveState();
+function getCachedProfile(gamertag) {
+  const k = gtKey(gamertag);
+  if (!k) return null;
 
-  return { ok: true, display };
+  const nf = profileCache.notFound.get(k);
+  if (nf && nowMs() - nf.fetchedMs < PROFILE_CACHE_NOT_FOUND_TTL_MS) {
+    return { notFound: true, fetchedMs: nf.fetchedMs };
+  }
+
+  const xuid = profileCache.gamertags.get(k);
+  return xuid ? getCachedProfileByXuid(xuid) : null;
 }
 
-function chunkLines(lines, maxChars) {
-  const chunks = [];
-  let current = "";
+function cacheProfile(requestedGamertag, profile, fetchedMs) {
+  if (!profile?.xuid || PROFILE_CACHE_TTL_MS <= 0) return;
 
-  for (const line of lines) {
-    const add = (current ? "\n" : "") + line;
+  const xuid = String(profile.xuid);
 
-    if (current.length + add.length > maxChars) {
-      if (current) chunks.push(current);
-      current = line;
-    } else {
-      current += add;
-    }
+  // Drop aliases that still point at this XUID under a name it no longer uses.
+  for (const [k, v] of profileCache.gamertags.entries()) {
+    if (v === xuid) profileCache.gamertags.delete(k);
   }
 
-  if (current) chunks.push(current);
+  profileCache.profiles.set(xuid, { profile, fetchedMs });
+
+  for (const k of new Set([gtKey(requestedGamertag), gtKey(profile.gamertag)])) {
+    if (!k) continue;
+
+    profileCache.gamertags.set(k, xuid);
+    profileCache.notFound.delete(k);
+  }
 
-  return chunks;
+  saveProfileCache();
 }
 
-async function sendEmbedToChannel(guild, channelId, embed) {
-  const channel = await guild.channels.fetch(channelId).catch(() => null);
-  if (!channel) return false;
+function cacheNotFound(gamertag) {
+  const k = gtKey(gamertag);
+  if (!k || PROFILE_CACHE_NOT_FOUND_TTL_MS <= 0) return;
 
-  const me = guild.members.me;
+  profileCache.notFound.set(k, { gamertag: normalizeGamertag(gamertag), fetchedMs: nowMs() });
+  profileCache.gamertags.delete(k);
 
-  if (me) {
-    const perms = channel.permissionsFor(me);
-    if (!perms?.has(PermissionsBitField.Flags.SendMessages)) return false;
-    if (!perms?.has(PermissionsBitField.Flags.EmbedLinks)) return false;
+  saveProfileCache();
+}
+
+// Cache-aware profile lookup. Pass fresh: true to skip the cache and refresh it.
+// Slash commands pass priority: "interactive" so they go ahead of the background scrub.
+async function fetchOpenXblMergedProfile(gamertag, { fresh = false, priority = "background" } = {}) {
+  if (!fresh) {
+    const cached = getCachedProfile(gamertag);
+
+    if (cached?.notFound) throw new XblNotFoundError();
+    if (cached) return cached;
   }
 
-  await channel.send({ embeds: [embed] });
-  return true;
+  try {
+    const fetchedMs = nowMs();
+    const profile = await trackXblHealth(xboxProvider.fetchMergedProfile(gamertag, { priority }));
+
+    cacheProfile(gamertag, profile, fetchedMs);
+    return { ...profile, fetchedMs };
+  } catch (err) {
+    if (err instanceof XblNotFoundError) cacheNotFound(gamertag);
+    throw err;
+  }
 }
 
-async function sendDigestIfDue() {
-  if (!DIGEST_CHANNEL_ID) return;
+function addFieldIf(embed, name, value, inline = true) {
+  const v = (value ?? "").toString().trim();
+  if (!v) return;
 
-  const intervalMs = DIGEST_INTERVAL_HOURS * 60 * 60 * 1000;
-  const now = nowMs();
+  embed.addFields({ name, value: v, inline });
+}
 
-  if (state.lastDigestMs && now - state.lastDigestMs < intervalMs) return;
+function formatBool(v) {
+  if (v === true) return "Yes";
+  if (v === false) return "No";
+  return "";
+}
 
-  const cutoff = state.lastDigestMs || now - intervalMs;
+// Low gamerscore alone reaches the default RISK_FLAG_SCORE, but tenure, social and Game Pass
+// signals can bring an established account with little gamerscore back under it.
+const DEFAULT_RISK_WEIGHTS = {
+  lowGamerscore: 55,
+  veryLowGamerscore: 20,
+  silverTier: 10,
+  newAccount: 20,
+  veteranAccount: -30,
+  noFollowers: 10,
+  noFriends: 10,
+  fewFollowing: 5,
+  noGamerpic: 5,
+  badRep: 25,
+  gamePass: -5,
+  establishedSocial: -15,
+};
 
-  const items = Array.from(state.pending.entries())
-    .map(([k, v]) => ({ k, ...v }))
-    .filter((v) => (v?.lastSeenMs ?? 0) >= cutoff)
-    .filter((v) => !isTrustedKey(v.k))
-    .sort((a, b) => (a.gamertag || "").localeCompare(b.gamertag || ""));
+function parseRiskWeights(raw) {
+  if (!raw) return { ...DEFAULT_RISK_WEIGHTS };
 
-  const digestChan = await client.channels.fetch(DIGEST_CHANNEL_ID).catch(() => null);
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    die("RISK_WEIGHTS must be a JSON object.");
+  }
 
-  if (!digestChan || !digestChan.guild) return;
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) die("RISK_WEIGHTS must be a JSON object.");
 
-  if (!items.length) {
-    state.lastDigestMs = now;
-    state.pending = new Map();
-    saveState();
-    return;
+  for (const [key, value] of Object.entries(parsed)) {
+    if (!(key in DEFAULT_RISK_WEIGHTS)) die(`RISK_WEIGHTS has an unknown key: ${key}`);
+    if (!Number.isFinite(value)) die(`RISK_WEIGHTS.${key} must be a number.`);
   }
 
-  const lines = items.map((v) => v.gamertag);
-  const chunks = chunkLines(lines, 3500);
+  return { ...DEFAULT_RISK_WEIGHTS, ...parsed };
+}
 
-  for (let i = 0; i < chunks.length; i++) {
-    const embed = new EmbedBuilder()
-      .setTitle(`Low Gamerscore Watchlist (Last ${DIGEST_INTERVAL_HOURS}h)`)
-      .setDescription(chunks[i])
-      .addFields(
-        { name: "Threshold", value: `< ${GS_THRESHOLD}`, inline: true },
-        { name: "Count", value: String(items.length), inline: true }
-      )
-      .setColor(0xff0000)
-      .setTimestamp();
+const RISK_WEIGHTS = parseRiskWeights(RISK_WEIGHTS_RAW);
+
+// Rules other than noGamerpic only fire when their field is known, so private profiles are
+// not penalised for hidden counts. Rules with a weight of 0 are skipped.
+const RISK_RULES = [
+  {
+    key: "lowGamerscore",
+    label: () => `Gamerscore below ${GS_THRESHOLD}`,
+    test: (p) => p.gamerscore !== null && p.gamerscore < GS_THRESHOLD,
+  },
+  {
+    key: "veryLowGamerscore",
+    label: () => `Gamerscore below ${Math.floor(GS_THRESHOLD / 5)}`,
+    test: (p) => p.gamerscore !== null && p.gamerscore < Math.floor(GS_THRESHOLD / 5),
+  },
+  {
+    key: "silverTier",
+    label: () => "Free/Silver account tier",
+    test: (p) => /^(silver|free)$/i.test(String(p.tier ?? "").trim()),
+  },
+  {
+    key: "newAccount",
+    label: () => "Xbox account less than a year old",
+    test: (p) => parseIntOrNull(p.tenure) === 0,
+  },
+  {
+    key: "veteranAccount",
+    label: () => "Xbox member for 5+ years",
+    test: (p) => (parseIntOrNull(p.tenure) ?? 0) >= 5,
+  },
+  {
+    key: "noFollowers",
+    label: () => "No followers",
+    test: (p) => p.followerCount === 0,
+  },
+  {
+    key: "noFriends",
+    label: () => "No friends",
+    test: (p) => p.friendCount === 0,
+  },
+  {
+    key: "fewFollowing",
+    label: () => "Follows fewer than 3 people",
+    test: (p) => typeof p.followingCount === "number" && p.followingCount < 3,
+  },
+  {
+    key: "noGamerpic",
+    label: () => "No gamerpic",
+    test: (p) => !p.gamerpic,
+  },
+  {
+    key: "badRep",
+    label: (p) => `Xbox rep: ${p.xboxRep}`,
+    test: (p) => /^(avoidme|needswork)$/i.test(String(p.xboxRep ?? "").replace(/\s+/g, "")),
+  },
+  {
+    key: "gamePass",
+    label: () => "Active Game Pass",
+    test: (p) => p.hasGamePass === true,
+  },
+  {
+    key: "establishedSocial",
+    label: () => "50+ followers or 25+ friends",
+    test: (p) => (p.followerCount ?? 0) >= 50 || (p.friendCount ?? 0) >= 25,
+  },
+];
 
-    if (chunks.length > 1) {
-      embed.setFooter({ text: `Page ${i + 1}/${chunks.length}` });
-    }
+function computeRiskScore(profile) {
+  const reasons = [];
+
+  for (const rule of RISK_RULES) {
+    const points = RISK_WEIGHTS[rule.key];
+    if (!points || !rule.test(profile)) continue;
 
-    await sendEmbedToChannel(digestChan.guild, DIGEST_CHANNEL_ID, embed);
+    reasons.push({ key: rule.key, label: rule.label(profile), points });
   }
 
-  state.lastDigestMs = now;
-  state.pending = new Map();
-  saveState();
+  reasons.sort((a, b) => b.points - a.points);
+
+  const score = reasons.reduce((sum, r) => sum + r.points, 0);
+
+  return { score, flagged: score >= RISK_FLAG_SCORE, reasons };
 }
 
-const queue = [];
-const queuedKeys = new Set();
-let working = false;
-let globalCooldownUntilMs = 0;
+function formatRiskReasons(reasons) {
+  if (!reasons?.length) return "No risk signals.";
 
-async function pollOnlineList() {
-  if (!ONLINE_LIST_CHANNEL_ID) return;
+  return reasons
+    .map((r) => `${r.points > 0 ? "+" : ""}${r.points} ${r.label}`)
+    .join("\n");
+}
 
-  const channel = await client.channels.fetch(ONLINE_LIST_CHANNEL_ID).catch(() => null);
-  if (!channel || !("messages" in channel)) return;
+// The /xcheck result embed, also posted to the review channel when /xverify fails.
+function buildCheckEmbed(merged, risk) {
+  const embed = new EmbedBuilder()
+    .setTitle("Xbox Gamerscore Check")
+    .setColor(risk.flagged ? 0xff0000 : 0x00ff00)
+    .setTimestamp();
 
-  const messages = await channel.messages.fetch({ limit: 1 }).catch(() => null);
-  const newest = messages?.first();
+  addFieldIf(embed, "Gamertag", merged.gamertag, true);
+
+  if (merged.gamerscore !== null) {
+    addFieldIf(embed, "Gamerscore", String(merged.gamerscore), true);
+  }
+
+  addFieldIf(embed, "Risk Score", `${risk.score} / ${RISK_FLAG_SCORE}`, true);
+  addFieldIf(embed, "Result", risk.flagged ? "FLAGGED" : "OK", false);
+  addFieldIf(embed, "Tier", merged.tier ? String(merged.tier) : "", true);
+  addFieldIf(embed, "Risk Breakdown", formatRiskReasons(risk.reasons).slice(0, 1024), false);
+
+  if (merged.gamerpic) embed.setThumbnail(merged.gamerpic);
+
+  return embed;
+}
+
+// Online list parser profiles. "default" matches the list bot this server has always used.
+// Profiles in PARSER_PROFILES_FILE ({ "profiles": [{ "name": ..., ... }] }) inherit any field
+// they leave out from "default". Pattern strings are compiled case-insensitive.
+//   sources         embed parts to read: title, description, fields, footer, author, content
+//   ignore          lines matching any of these are skipped
+//   linePatterns    the first pattern that matches a line yields the gamertag (capture group 1)
+//   countPatterns   the first match in the combined text yields the online count (capture group 1)
+//   gamertagPattern a captured gamertag must match this to be kept
+const PARSER_SOURCES = ["title", "description", "fields", "footer", "author", "content"];
+
+const DEFAULT_PARSER_PROFILE = {
+  name: "default",
+  sources: ["title", "description", "fields"],
+  ignore: ["online list.*players|players.*online list", "^3xloot$"],
+  linePatterns: ["^[\\u2022\\-]*\\s*(.+)$"],
+  countPatterns: [
+    "(?:online|players?|survivors?|on now)[^0-9]{0,30}(\\d{1,3})\\s*\\/\\s*(\\d{1,3})",
+    "(\\d{1,3})\\s*\\/\\s*(\\d{1,3})[^\\n]*(?:online|players?|survivors?|on now)",
+    "(?:online|players?|survivors?|on now)[^0-9]{0,30}(\\d{1,3})",
+  ],
+  gamertagPattern: "^[a-zA-Z0-9 _.\\-]{2,20}$",
+};
+
+function compileParserProfile(raw, label) {
+  const merged = { ...DEFAULT_PARSER_PROFILE, ...raw };
+
+  const compile = (pattern, field) => {
+    try {
+      return new RegExp(String(pattern), "i");
+    } catch (err) {
+      die(`${label}.${field} has an invalid pattern (${pattern}): ${err.message}`);
+    }
+  };
+
+  const compileList = (field) => {
+    if (!Array.isArray(merged[field])) die(`${label}.${field} must be an array of patterns.`);
+    return merged[field].map((p) => compile(p, field));
+  };
 
-  if (!newest) return;
+  if (!Array.isArray(merged.sources) || !merged.sources.length) die(`${label}.sources must be a non-empty array.`);
 
-  const gts = extractGamertagsFromEmbeds(newest);
-  console.log(`[POLL] Found ${gts.length} gamertag(s) in online list.`);
+  for (const source of merged.sources) {
+    if (!PARSER_SOURCES.includes(source)) die(`${label}.sources has an unknown entry: ${source}`);
+  }
+
+  return {
+    name: String(merged.name),
+    sources: merged.sources,
+    ignore: compileList("ignore"),
+    linePatterns: compileList("linePatterns"),
+    countPatterns: compileList("countPatterns"),
+    gamertagPattern: compile(merged.gamertagPattern, "gamertagPattern"),
+  };
+}
+
+function loadParserProfiles(file) {
+  const profiles = new Map([["default", compileParserProfile(DEFAULT_PARSER_PROFILE, "default")]]);
+  if (!file) return profiles;
 
+  let parsed;
   try {
-    await updateOnlineCountChannel(newest.guild, extractOnlineCountFromMessage(newest, gts));
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
   } catch (err) {
-    console.warn("[ONLINE COUNT] Failed to update online count channel:", err?.message ?? err);
+    die(`PARSER_PROFILES_FILE could not be read: ${err.message}`);
   }
 
-  const now = nowMs();
+  if (!Array.isArray(parsed?.profiles)) die("PARSER_PROFILES_FILE must contain a profiles array.");
 
-  if (globalCooldownUntilMs > now) {
-    const waitSec = Math.ceil((globalCooldownUntilMs - now) / 1000);
-    console.warn(`[OPENXBL] Global cooldown active. Skipping gamertag checks for ${waitSec}s.`);
-    return;
-  }
+  for (const raw of parsed.profiles) {
+    const name = String(raw?.name ?? "").trim().toLowerCase();
+    if (!name) die("Every parser profile needs a name.");
 
-  for (const gt of gts) {
-    enqueueGamertag(gt, newest.guild);
+    profiles.set(name, compileParserProfile({ ...raw, name }, `parser profile ${name}`));
   }
-}
-
-function enqueueGamertag(gt, guild) {
-  const clean = normalizeGamertag(gt);
-  const k = gtKey(clean);
 
-  if (!k || isTrustedKey(k) || state.checked.has(k) || queuedKeys.has(k)) return;
+  return profiles;
+}
 
-  queue.push({ gt: clean, k, guild });
-  queuedKeys.add(k);
-  console.log(`[QUEUE] Queued ${clean} for OpenXBL check.`);
+const parserProfiles = loadParserProfiles(PARSER_PROFILES_FILE);
+const activeParserProfile = parserProfiles.get(ONLINE_LIST_PARSER);
 
-  void processQueue();
+if (!activeParserProfile) {
+  die(`ONLINE_LIST_PARSER "${ONLINE_LIST_PARSER}" is not a known parser profile (${Array.from(parserProfiles.keys()).join(", ")}).`);
 }
 
-async function processQueue() {
-  if (working) return;
+// Each server also carries the live-update bookkeeping for its list channel.
+function makeServer(name, listChannelId, countChannelId, maxPlayers, parser) {
+  return {
+    name,
+    key: name.toLowerCase(),
+    listChannelId,
+    countChannelId,
+    maxPlayers,
+    parser,
+    lastListVersion: null,
+    debounceTimer: null,
+    debouncedMessage: null,
+    lastEmptyWarningId: null,
+  };
+}
 
-  working = true;
+function parseServers(raw) {
+  if (!raw) {
+    return [makeServer("Main", ONLINE_LIST_CHANNEL_ID, ONLINE_COUNT_CHANNEL_ID, ONLINE_COUNT_MAX_PLAYERS, activeParserProfile)];
+  }
 
+  let parsed;
   try {
-    while (queue.length) {
-      const item = queue.shift();
+    parsed = JSON.parse(raw);
+  } catch {
+    die("SERVERS must be a JSON array.");
+  }
 
-      if (!item) continue;
+  if (!Array.isArray(parsed) || !parsed.length) die("SERVERS must be a non-empty JSON array.");
 
-      queuedKeys.delete(item.k);
+  const servers = [];
 
-      if (isTrustedKey(item.k) || state.checked.has(item.k)) continue;
+  for (const v of parsed) {
+    const name = String(v?.name ?? "").trim();
+    const listChannelId = String(v?.listChannelId ?? "").trim();
+    const maxPlayers = v?.maxPlayers === undefined ? ONLINE_COUNT_MAX_PLAYERS : Number.parseInt(String(v.maxPlayers), 10);
+    const parserName = String(v?.parser ?? ONLINE_LIST_PARSER).trim().toLowerCase();
 
-      const now = nowMs();
+    if (!name) die("Every SERVERS entry needs a name.");
+    if (servers.some((s) => s.key === name.toLowerCase())) die(`SERVERS has a duplicate name: ${name}`);
+    if (!listChannelId) die(`SERVERS entry ${name} needs a listChannelId.`);
+    if (servers.some((s) => s.listChannelId === listChannelId)) die(`SERVERS entry ${name} reuses list channel ${listChannelId}.`);
+    if (!Number.isFinite(maxPlayers) || maxPlayers < 1) die(`SERVERS entry ${name} needs maxPlayers >= 1.`);
+    if (!parserProfiles.has(parserName)) die(`SERVERS entry ${name} uses an unknown parser profile: ${parserName}`);
 
-      if (globalCooldownUntilMs > now) {
-        const waitMs = globalCooldownUntilMs - now;
-        console.warn(`[OPENXBL] Global cooldown active. Pausing queue for ${Math.ceil(waitMs / 1000)}s.`);
-        await sleep(waitMs);
-      }
+    servers.push(makeServer(name, listChannelId, String(v?.countChannelId ?? "").trim(), maxPlayers, parserProfiles.get(parserName)));
+  }
 
-      try {
-        console.log(`[CHECK] ${item.gt}: checking OpenXBL...`);
-        const merged = await fetchOpenXblMergedProfile(item.gt);
-        const gs = merged.gamerscore;
+  return servers;
+}
 
-        if (gs === null || gs === undefined) {
-          console.warn(`[SKIPPED] ${item.gt}: Gamerscore unavailable. Will try again later.`);
-        } else {
-          state.checked.add(item.k);
-          saveState();
-          console.log(`[CHECK] ${item.gt}: gamerscore ${gs}.`);
+const SERVERS = parseServers(SERVERS_RAW);
+const MULTI_SERVER = SERVERS.length > 1;
 
-          if (gs < GS_THRESHOLD) {
-            addFlagged({ gamertag: merged.gamertag, gamerscore: gs });
+// Presence saved before servers were configured belongs to the first server.
+for (const p of state.presence.values()) {
+  if (!getServer(p.server)) p.server = SERVERS[0].key;
+}
 
-            if (IMMEDIATE_FLAG_LOGS && item.guild && MODLOG_CHANNEL_ID) {
-              const embed = new EmbedBuilder()
-                .setTitle("XCHECK FLAGGED")
-                .addFields(
-                  { name: "Gamertag", value: merged.gamertag, inline: true },
-                  { name: "Gamerscore", value: String(gs), inline: true },
-                  { name: "Result", value: "FLAGGED", inline: false }
-                )
-                .setColor(0xff0000)
-                .setTimestamp();
+function getServer(name) {
+  const key = String(name ?? "").trim().toLowerCase();
+  return SERVERS.find((s) => s.key === key) ?? null;
+}
 
-              if (merged.tier) {
-                embed.addFields({ name: "Tier", value: String(merged.tier), inline: true });
-              }
+function getServerForChannel(channelId) {
+  return SERVERS.find((s) => s.listChannelId && s.listChannelId === channelId) ?? null;
+}
 
-              if (merged.gamerpic) {
-                embed.setThumbnail(merged.gamerpic);
-              }
+// The optional "server" option of a command, defaulting to the first server.
+function resolveServerOption(interaction) {
+  const name = interaction.options.getString("server");
+  return name ? getServer(name) : SERVERS[0];
+}
 
-              await sendEmbedToChannel(item.guild, MODLOG_CHANNEL_ID, embed);
-            }
-          }
-        }
-      } catch (err) {
-        if (err instanceof RateLimitError) {
-          globalCooldownUntilMs = nowMs() + XBL_GLOBAL_COOLDOWN_MS;
-          console.warn(`[OPENXBL] Rate limited while checking ${item.gt}. Entering ${Math.round(XBL_GLOBAL_COOLDOWN_MS / 60000)} minute cooldown.`);
-          break;
-        }
+function serverLabel(key) {
+  return getServer(key)?.name ?? key ?? "";
+}
 
-        const msg = String(err?.message ?? err);
+function collectOnlineListText(msg, profile) {
+  const sources = new Set(profile.sources);
+  const chunks = [];
 
-        if (msg.toLowerCase().includes("gamertag not found")) {
-          console.warn(`[NOT FOUND] ${item.gt}: OpenXBL could not find this gamertag. Not marking as checked.`);
-        } else {
-          console.error(`[ERROR] ${item.gt}:`, msg);
-        }
-      }
+  if (sources.has("content") && msg.content) chunks.push(String(msg.content));
+
+  for (const e of msg.embeds ?? []) {
+    if (sources.has("author") && e?.author?.name) chunks.push(String(e.author.name));
+    if (sources.has("title") && e?.title) chunks.push(String(e.title));
+    if (sources.has("description") && e?.description) chunks.push(String(e.description));
 
-      if (SCRUB_DELAY_MS > 0) {
-        await sleep(SCRUB_DELAY_MS);
+    if (sources.has("fields") && Array.isArray(e?.fields)) {
+      for (const f of e.fields) {
+        if (f?.name) chunks.push(String(f.name));
+        if (f?.value) chunks.push(String(f.value));
       }
     }
-  } finally {
-    working = false;
+
+    if (sources.has("footer") && e?.footer?.text) chunks.push(String(e.footer.text));
   }
+
+  return chunks.join("\n");
 }
 
-function buildListEmbeds(title, lines, color = 0x2b2d31) {
-  const chunks = chunkLines(lines, 3500);
+// Returns the online count from the profile's count patterns, or null when none match.
+function matchOnlineCount(msg, profile = activeParserProfile) {
+  const text = collectOnlineListText(msg, profile);
 
-  return chunks.map((chunk, i) => {
-    const e = new EmbedBuilder()
-      .setTitle(title)
-      .setDescription(chunk || "-")
-      .setColor(color)
-      .setTimestamp();
+  for (const pattern of profile.countPatterns) {
+    const m = text.match(pattern);
+    if (!m) continue;
 
-    if (chunks.length > 1) {
-      e.setFooter({ text: `Page ${i + 1}/${chunks.length}` });
-    }
+    const count = Number.parseInt(m[1] ?? m[0], 10);
+    if (Number.isFinite(count)) return count;
+  }
 
-    return e;
-  });
+  return null;
 }
 
-const TRADER_TIME_ZONE = "America/New_York";
-
-function getTimeZoneParts(timestampMs, timeZone = TRADER_TIME_ZONE) {
-  const formatter = new Intl.DateTimeFormat("en-US", {
-    timeZone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hourCycle: "h23",
-  });
-
-  const parts = Object.fromEntries(
-    formatter
-      .formatToParts(new Date(timestampMs))
-      .filter((part) => part.type !== "literal")
-      .map((part) => [part.type, Number(part.value)])
-  );
-
-  return {
-    year: parts.year,
-    month: parts.month,
-    day: parts.day,
-    hour: parts.hour,
-    minute: parts.minute,
-    second: parts.second,
-  };
+function extractOnlineCountFromMessage(msg, parsedGamertags = [], profile = activeParserProfile) {
+  return matchOnlineCount(msg, profile) ?? parsedGamertags.length;
 }
 
-function zonedDateTimeToUtcMs(year, month, day, hour, minute, second, timeZone) {
-  const targetAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
-  let candidate = targetAsUtc;
+// Discord allows about two renames per channel every ten minutes and holds extra requests back
+// for minutes. Renames go through requestChannelRename instead, which keeps only the latest
+// desired name per channel and applies it once the channel has budget, without making the
+// caller wait. Rename history is in memory only, so the first renames after a restart may
+// still be held back by Discord.
+const CHANNEL_RENAME_LIMIT = 2;
+const CHANNEL_RENAME_WINDOW_MS = 10 * 60 * 1000;
+const channelRenames = new Map();
+
+function getChannelRenameEntry(channelId) {
+  let entry = channelRenames.get(channelId);
+
+  if (!entry) {
+    entry = { channel: null, desiredName: null, reason: "", recentMs: [], timer: null, dueMs: 0, applying: false };
+    channelRenames.set(channelId, entry);
+  }
 
-  // Resolve the zone offset at this date. Repeating also handles DST changes.
-  for (let i = 0; i < 3; i++) {
-    const actual = getTimeZoneParts(candidate, timeZone);
-    const actualAsUtc = Date.UTC(
-      actual.year,
-      actual.month - 1,
-      actual.day,
-      actual.hour,
-      actual.minute,
-      actual.second
-    );
+  return entry;
+}
 
-    candidate += targetAsUtc - actualAsUtc;
+// Returns { status: "current" | "now" | "scheduled", dueMs }.
+function requestChannelRename(channel, desiredName, reason) {
+  const entry = getChannelRenameEntry(channel.id);
+  entry.channel = channel;
+  entry.reason = reason;
+
+  if (channel.name === desiredName && !entry.applying) {
+    entry.desiredName = null;
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    return { status: "current", dueMs: 0 };
   }
 
-  return candidate;
+  entry.desiredName = desiredName;
+  scheduleChannelRename(entry);
+
+  return { status: entry.dueMs > nowMs() ? "scheduled" : "now", dueMs: entry.dueMs };
 }
 
-function getTraderWeekStartMs(referenceMs = nowMs()) {
-  const easternNow = getTimeZoneParts(referenceMs, TRADER_TIME_ZONE);
+function scheduleChannelRename(entry) {
+  // A rename in flight reschedules itself when it finishes.
+  if (entry.applying) return;
 
-  // This Date represents Eastern calendar fields; UTC methods avoid host-zone effects.
-  const localDate = new Date(Date.UTC(
-    easternNow.year,
-    easternNow.month - 1,
-    easternNow.day
-  ));
+  const now = nowMs();
+  entry.recentMs = entry.recentMs.filter((t) => now - t < CHANNEL_RENAME_WINDOW_MS);
 
-  const daysSinceFriday = (localDate.getUTCDay() - 5 + 7) % 7;
-  localDate.setUTCDate(localDate.getUTCDate() - daysSinceFriday);
+  const waitMs = entry.recentMs.length < CHANNEL_RENAME_LIMIT
+    ? 0
+    : entry.recentMs[0] + CHANNEL_RENAME_WINDOW_MS - now;
 
-  const makeCandidate = () => zonedDateTimeToUtcMs(
-    localDate.getUTCFullYear(),
-    localDate.getUTCMonth() + 1,
-    localDate.getUTCDate(),
-    6,
-    0,
-    0,
-    TRADER_TIME_ZONE
-  );
+  clearTimeout(entry.timer);
+  entry.dueMs = now + waitMs;
+  entry.timer = setTimeout(() => void applyChannelRename(entry), waitMs);
+}
 
-  let candidate = makeCandidate();
+async function applyChannelRename(entry) {
+  entry.timer = null;
 
-  // Before Friday at 6:00 AM Eastern, use the preceding Friday.
-  if (candidate > referenceMs) {
-    localDate.setUTCDate(localDate.getUTCDate() - 7);
-    candidate = makeCandidate();
+  const name = entry.desiredName;
+  if (!name) return;
+
+  if (entry.channel.name === name) {
+    entry.desiredName = null;
+    return;
   }
 
-  return candidate;
-}
+  entry.applying = true;
+  entry.recentMs.push(nowMs());
 
-function normalizeTraderStatsState() {
-  if (!state.traderStats || typeof state.traderStats !== "object") {
-    state.traderStats = defaultTraderStats();
+  try {
+    await entry.channel.setName(name, entry.reason);
+    console.log(`[RENAME] #${entry.channel.id} renamed to ${name}.`);
+  } catch (err) {
+    console.warn(`[RENAME] Failed to rename #${entry.channel.id}:`, err?.message ?? err);
+  } finally {
+    entry.applying = false;
   }
 
-  if (!state.traderStats.totals || typeof state.traderStats.totals !== "object") {
-    state.traderStats.totals = {};
+  // Anything requested while this rename was in flight is applied next. A failed rename is
+  // dropped; the next request for the channel tries again.
+  if (entry.desiredName === name) {
+    entry.desiredName = null;
+  } else if (entry.desiredName) {
+    scheduleChannelRename(entry);
   }
+}
 
-  if (!state.traderStats.activeSessions || typeof state.traderStats.activeSessions !== "object") {
-    state.traderStats.activeSessions = {};
-  }
+function pendingChannelRenames() {
+  return Array.from(channelRenames.entries())
+    .filter(([, entry]) => entry.desiredName)
+    .map(([channelId, entry]) => ({
+      channelId,
+      currentName: entry.channel?.name ?? "",
+      desiredName: entry.desiredName,
+      dueMs: entry.dueMs,
+      applying: entry.applying,
+      recentCount: entry.recentMs.filter((t) => nowMs() - t < CHANNEL_RENAME_WINDOW_MS).length,
+    }))
+    .sort((a, b) => a.dueMs - b.dueMs);
+}
 
-  if (!Number.isFinite(Number(state.traderStats.weekStartMs))) {
-    state.traderStats.weekStartMs = 0;
-  }
+function renameDelayText(rename) {
+  if (rename?.status !== "scheduled") return "";
+  return ` (channel name updates <t:${Math.ceil(rename.dueMs / 1000)}:R>)`;
+}
 
-  if (!Number.isFinite(Number(state.traderStats.lastDigestWeekStartMs))) {
-    state.traderStats.lastDigestWeekStartMs = 0;
-  }
+async function updateOnlineCountChannel(guild, count, server) {
+  if (!server.countChannelId || !guild) return;
 
-  if (!state.traderStats.lastWeekSummary || typeof state.traderStats.lastWeekSummary !== "object") {
-    state.traderStats.lastWeekSummary = null;
+  const channel = await guild.channels.fetch(server.countChannelId).catch(() => null);
+  if (!channel || typeof channel.setName !== "function") return;
+
+  const botMember = guild.members.me ?? await guild.members.fetchMe().catch(() => null);
+  const perms = botMember ? channel.permissionsFor(botMember) : null;
+
+  if (!perms?.has(PermissionsBitField.Flags.ManageChannels)) {
+    console.warn("[ONLINE COUNT] Missing Manage Channels permission for online count channel.");
+    return;
   }
+
+  requestChannelRename(channel, `\uD83D\uDFE2 On Now ${count}/${server.maxPlayers}`, "Online player count updated");
 }
 
-function getTraderStatsRows(referenceMs = nowMs()) {
-  const totals = {};
+// Parses the online list with a profile. ignored and unmatched are reported by /xparser so
+// staff can see why a line did or did not produce a gamertag.
+function parseOnlineListMessage(msg, profile = activeParserProfile) {
+  const lines = collectOnlineListText(msg, profile)
+    .split(/\r?\n/)
+    .map((l) => stripMarkdown(l.trim()))
+    .filter(Boolean);
 
-  // Clone each nested record so displaying stats never mutates saved totals.
-  for (const [userId, record] of Object.entries(state.traderStats.totals || {})) {
-    totals[userId] = {
-      ...record,
-      totalMs: Number(record.totalMs || 0),
-    };
-  }
+  const gamertags = [];
+  const unmatched = [];
+  const seen = new Set();
+  let ignored = 0;
 
-  for (const [userId, session] of Object.entries(state.traderStats.activeSessions || {})) {
-    if (!totals[userId]) {
-      totals[userId] = {
-        userId,
-        displayName: session.displayName || "Unknown Trader",
-        totalMs: 0,
-      };
+  for (const line of lines) {
+    if (profile.ignore.some((re) => re.test(line))) {
+      ignored++;
+      continue;
     }
 
-    const startedMs = Number(session.startedMs);
-    if (Number.isFinite(startedMs)) {
-      totals[userId].totalMs += Math.max(0, referenceMs - startedMs);
+    let gt = "";
+
+    for (const pattern of profile.linePatterns) {
+      const m = line.match(pattern);
+      if (!m) continue;
+
+      gt = normalizeGamertag(m[1] ?? m[0]);
+      break;
     }
+
+    if (!gt || !profile.gamertagPattern.test(gt)) {
+      unmatched.push(line);
+      continue;
+    }
+
+    const k = gtKey(gt);
+    if (seen.has(k)) continue;
+
+    seen.add(k);
+    gamertags.push(gt);
   }
 
-  return Object.values(totals)
-    .filter((x) => Number(x.totalMs || 0) > 0)
-    .sort((a, b) => Number(b.totalMs || 0) - Number(a.totalMs || 0));
+  return { gamertags, ignored, unmatched };
 }
 
-function formatTraderStatsLines(rows) {
-  return rows.map((x) => `**${x.displayName || "Unknown Trader"}** - ${formatDuration(Number(x.totalMs || 0))}`);
+function extractGamertagsFromEmbeds(msg, profile = activeParserProfile) {
+  return parseOnlineListMessage(msg, profile).gamertags;
 }
 
-function buildTraderWeeklyDigestText(rows, weekStartMs, weekEndMs) {
-  const startUnix = Math.floor(Number(weekStartMs || 0) / 1000);
-  const endUnix = Math.floor(Number(weekEndMs || 0) / 1000);
-  const rangeText = weekStartMs
-    ? `\n<t:${startUnix}:f> to <t:${endUnix}:f>`
-    : "";
-
-  if (!rows.length) {
-    return `**Weekly Trader Hours Digest**${rangeText}\nNo trader time logged.`;
-  }
+function addFlagged(profile) {
+  const k = gtKey(profile.gamertag);
+  if (!k || isTrustedKey(k) || isTrustedXuid(profile.xuid)) return;
 
-  const totalMs = rows.reduce((sum, row) => sum + Number(row.totalMs || 0), 0);
+  const t = nowMs();
+  const xuid = profile.xuid ? String(profile.xuid) : null;
+  const key = playerKeyFor(profile.gamertag, xuid);
+  const riskScore = Number.isFinite(profile.riskScore) ? profile.riskScore : null;
+  const riskReasons = Array.isArray(profile.riskReasons) ? profile.riskReasons : [];
+  const server = state.presence.get(k)?.server ?? null;
 
-  return `**Weekly Trader Hours Digest**${rangeText}\n${formatTraderStatsLines(rows).join("\n")}\n\nTotal trader time: **${formatDuration(totalMs)}**`;
-}
+  const p = state.pending.get(key);
+  if (!p) {
+    state.pending.set(key, {
+      gamertag: profile.gamertag,
+      xuid,
+      gamerscore: profile.gamerscore ?? 0,
+      riskScore,
+      riskReasons,
+      server,
+      firstSeenMs: t,
+      lastSeenMs: t,
+    });
+  } else {
+    p.gamertag = profile.gamertag;
+    p.xuid = xuid ?? p.xuid ?? null;
+    p.server = server ?? p.server ?? null;
 
-function rollTraderStatsWeek(currentWeekStart) {
-  const previousWeekStart = Number(state.traderStats.weekStartMs || 0);
-  const rows = getTraderStatsRows(currentWeekStart);
+    if (riskScore !== null) {
+      p.riskScore = riskScore;
+      p.riskReasons = riskReasons;
+    }
 
-  state.traderStats.lastWeekSummary = {
-    weekStartMs: previousWeekStart,
-    weekEndMs: currentWeekStart,
-    createdMs: nowMs(),
-    text: buildTraderWeeklyDigestText(rows, previousWeekStart, currentWeekStart),
-  };
+    if (profile.gamerscore !== null && profile.gamerscore !== undefined) {
+      p.gamerscore = profile.gamerscore;
+    }
 
-  const carriedActiveSessions = {};
-  for (const [userId, session] of Object.entries(state.traderStats.activeSessions || {})) {
-    carriedActiveSessions[userId] = {
-      ...session,
-      startedMs: currentWeekStart,
-    };
+    p.lastSeenMs = t;
   }
 
-  state.traderStats.weekStartMs = currentWeekStart;
-  state.traderStats.totals = {};
-  state.traderStats.activeSessions = carriedActiveSessions;
-}
+  const a = state.flaggedAll.get(key);
+  if (!a) {
+    state.flaggedAll.set(key, {
+      gamertag: profile.gamertag,
+      xuid,
+      lastKnownGS: profile.gamerscore ?? 0,
+      riskScore,
+      riskReasons,
+      server,
+      firstSeenMs: t,
+      lastSeenMs: t,
+    });
+  } else {
+    a.gamertag = profile.gamertag;
+    a.xuid = xuid ?? a.xuid ?? null;
+    a.server = server ?? a.server ?? null;
 
-function ensureTraderStatsWeek() {
-  normalizeTraderStatsState();
+    if (riskScore !== null) {
+      a.riskScore = riskScore;
+      a.riskReasons = riskReasons;
+    }
 
-  const currentWeekStart = getTraderWeekStartMs();
+    if (profile.gamerscore !== null && profile.gamerscore !== undefined) {
+      a.lastKnownGS = profile.gamerscore;
+    }
 
-  if (!state.traderStats.weekStartMs) {
-    state.traderStats.weekStartMs = currentWeekStart;
-    saveState();
-    return;
+    a.lastSeenMs = t;
   }
 
-  if (state.traderStats.weekStartMs !== currentWeekStart) {
-    rollTraderStatsWeek(currentWeekStart);
-    saveState();
-  }
+  saveState();
 }
 
-function formatDuration(ms) {
-  const totalMinutes = Math.floor(ms / 60000);
-  const hours = Math.floor(totalMinutes / 60);
-  const minutes = totalMinutes % 60;
+// Refreshes the score on existing flag records without touching lastSeenMs or adding to pending.
+function updateFlaggedRisk(k, { gamerscore, riskScore, riskReasons }) {
+  const key = playerKey(k);
+  const a = state.flaggedAll.get(key);
+  if (a) {
+    a.lastKnownGS = gamerscore;
+    a.riskScore = riskScore;
+    a.riskReasons = riskReasons;
+  }
 
-  if (hours <= 0) return `${minutes}m`;
-  if (minutes <= 0) return `${hours}h`;
-  return `${hours}h ${minutes}m`;
-}
+  const p = state.pending.get(key);
+  if (p) {
+    p.gamerscore = gamerscore;
+    p.riskScore = riskScore;
+    p.riskReasons = riskReasons;
+  }
 
-function getActiveTraderCount() {
-  ensureTraderStatsWeek();
-  return Object.keys(state.traderStats.activeSessions || {}).length;
+  saveState();
 }
 
-function getDisplayNameForMember(member, fallbackUser) {
-  return member?.displayName || fallbackUser?.globalName || fallbackUser?.username || "Unknown Trader";
+function clearFlagged(k) {
+  const key = playerKey(k);
+  const entry = state.flaggedAll.get(key) ?? null;
+
+  state.pending.delete(key);
+  state.flaggedAll.delete(key);
+  saveState();
+
+  return entry;
 }
 
-function startTraderSession(member, user) {
-  ensureTraderStatsWeek();
+function trustGamertag(gt, user = null) {
+  const original = normalizeGamertag(gt);
+  const k = gtKey(original);
 
-  const userId = user.id;
-  const displayName = getDisplayNameForMember(member, user);
+  if (!k) return { ok: false, display: "" };
 
-  if (state.traderStats.activeSessions[userId]) {
-    return {
-      started: false,
-      displayName,
-      alreadyActive: true,
-    };
-  }
+  const xuid = xuidForKey(k) ?? profileCache.gamertags.get(k) ?? null;
 
-  state.traderStats.activeSessions[userId] = {
-    userId,
-    displayName,
-    startedMs: nowMs(),
-  };
+  return trustPlayerKey(playerKeyFor(original, xuid), original, user);
+}
 
-  if (!state.traderStats.totals[userId]) {
-    state.traderStats.totals[userId] = {
-      userId,
-      displayName,
-      totalMs: 0,
-    };
-  } else {
-    state.traderStats.totals[userId].displayName = displayName;
-  }
+// Trusts the player saved under a record key, e.g. from a review button on a flag log.
+function trustPlayerKey(key, gamertag, user = null) {
+  const k = gtKey(gamertag);
+  const wasFlagged = state.pending.has(key) || state.flaggedAll.has(key);
+
+  state.trusted[key] = {
+    gamertag,
+    xuid: key.startsWith(XUID_KEY_PREFIX) ? xuidForKey(key) : null,
+    addedMs: nowMs(),
+    addedById: user?.id ?? "",
+    addedByTag: user?.tag ?? user?.username ?? "",
+  };
+  state.pending.delete(key);
+  state.flaggedAll.delete(key);
+  state.unresolved.delete(k);
+  state.unresolvable.delete(k);
 
   saveState();
 
-  return {
-    started: true,
-    displayName,
-    alreadyActive: false,
-  };
+  return { ok: true, display: gamertag, removedFlagged: wasFlagged };
 }
 
-function stopTraderSession(member, user) {
-  ensureTraderStatsWeek();
+function untrustGamertag(gt) {
+  const original = normalizeGamertag(gt);
+  const k = gtKey(original);
 
-  const userId = user.id;
-  const displayName = getDisplayNameForMember(member, user);
-  const session = state.traderStats.activeSessions[userId];
+  if (!k) return { ok: false, display: "" };
 
-  if (!session) {
-    return {
-      stopped: false,
-      displayName,
-      addedMs: 0,
-    };
-  }
+  const display = trustedDisplayForKey(k);
+  delete state.trusted[playerKey(k)];
 
-  const addedMs = Math.max(0, nowMs() - Number(session.startedMs || nowMs()));
+  saveState();
 
-  if (!state.traderStats.totals[userId]) {
-    state.traderStats.totals[userId] = {
-      userId,
-      displayName,
-      totalMs: 0,
-    };
-  }
+  return { ok: true, display };
+}
 
-  state.traderStats.totals[userId].displayName = displayName;
-  state.traderStats.totals[userId].totalMs =
-    Number(state.traderStats.totals[userId].totalMs || 0) + addedMs;
+function chunkLines(lines, maxChars) {
+  return groupLines(lines, maxChars).map((group) => group.map((i) => lines[i]).join("\n"));
+}
 
-  delete state.traderStats.activeSessions[userId];
+// Splits line indexes into pages of at most maxChars (joined with newlines) and maxLines lines.
+function groupLines(lines, maxChars, maxLines = Infinity) {
+  const groups = [];
+  let current = [];
+  let length = 0;
 
-  saveState();
+  for (let i = 0; i < lines.length; i++) {
+    const add = (current.length ? 1 : 0) + lines[i].length;
 
-  return {
-    stopped: true,
-    displayName,
-    addedMs,
-  };
-}
+    if (current.length && (length + add > maxChars || current.length >= maxLines)) {
+      groups.push(current);
+      current = [i];
+      length = lines[i].length;
+    } else {
+      current.push(i);
+      length += add;
+    }
+  }
 
-function buildTraderStatsText() {
-  ensureTraderStatsWeek();
+  if (current.length) groups.push(current);
 
-  const rows = getTraderStatsRows();
+  return groups;
+}
 
-  if (!rows.length) {
-    const lastWeekText = state.traderStats.lastWeekSummary?.text
-      ? `\n\nLast saved weekly digest:\n${state.traderStats.lastWeekSummary.text}`
-      : "";
+async function sendEmbedToChannel(guild, channelId, embed, content = "", components = []) {
+  const channel = await guild.channels.fetch(channelId).catch(() => null);
+  if (!channel) return false;
 
-    return `**Trader Hours This Week**\nNo trader time logged yet.\n\nWeek resets Friday at 6:00 AM Eastern Time.${lastWeekText}`;
+  const me = guild.members.me;
+
+  if (me) {
+    const perms = channel.permissionsFor(me);
+    if (!perms?.has(PermissionsBitField.Flags.SendMessages)) return false;
+    if (!perms?.has(PermissionsBitField.Flags.EmbedLinks)) return false;
   }
 
-  const active = Object.values(state.traderStats.activeSessions || {});
-  const activeLine = active.length
-    ? `\n\nCurrently active: ${active.map((x) => `**${x.displayName}**`).join(", ")}`
-    : "";
+  await channel.send({ content: content || undefined, embeds: [embed], components });
+  return true;
+}
 
-  return `**Trader Hours This Week**\n${formatTraderStatsLines(rows).join("\n")}${activeLine}\n\nWeek resets Friday at 6:00 AM Eastern Time.`;
+async function sendModlogEmbed(embed, content = "") {
+  if (!MODLOG_CHANNEL_ID) return false;
+
+  const channel = await client.channels.fetch(MODLOG_CHANNEL_ID).catch(() => null);
+  if (!channel?.guild) return false;
+
+  return await sendEmbedToChannel(channel.guild, MODLOG_CHANNEL_ID, embed, content).catch((err) => {
+    console.warn("[MODLOG] Failed to send embed:", err?.message ?? err);
+    return false;
+  });
 }
 
-async function sendWeeklyTraderDigestIfDue() {
-  ensureTraderStatsWeek();
+// Digest schedules. Interval schedules run from the previous digest; daily and cron schedules
+// are evaluated in Eastern time. Cron supports *, lists, ranges and steps, month (JAN-DEC) and
+// day (SUN-SAT) names, and like cron a restricted day-of-month and day-of-week match when either does.
+function parseDigestSchedule(raw) {
+  const text = String(raw ?? "").trim().toLowerCase();
 
-  const summary = state.traderStats.lastWeekSummary;
-  if (!summary?.text || !summary.weekStartMs) return;
-  if (state.traderStats.lastDigestWeekStartMs === summary.weekStartMs) return;
-  if (!TRADER_DIGEST_CHANNEL_ID) return;
+  const every = text.match(/^every\s+(\d+)?\s*(minutes?|mins?|m|hours?|hrs?|h)$/);
+  if (every) {
+    const n = Number.parseInt(every[1] ?? "1", 10);
+    const unitMs = every[2].startsWith("h") ? 60 * 60 * 1000 : 60 * 1000;
+    if (!Number.isFinite(n) || n < 1) return null;
 
-  const channel = await client.channels.fetch(TRADER_DIGEST_CHANNEL_ID).catch(() => null);
-  if (!channel || !channel.guild || typeof channel.send !== "function") return;
+    return { kind: "interval", ms: n * unitMs, label: text };
+  }
 
-  const me = channel.guild.members.me;
-  if (me) {
-    const perms = channel.permissionsFor(me);
-    if (!perms?.has(PermissionsBitField.Flags.SendMessages)) return;
+  const daily = text.match(/^daily\s+at\s+(\d{1,2}):(\d{2})\s*(am|pm)?(?:\s+et)?$/);
+  if (daily) {
+    let hour = Number.parseInt(daily[1], 10);
+    const minute = Number.parseInt(daily[2], 10);
+
+    if (daily[3]) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (daily[3] === "pm" ? 12 : 0);
+    }
+
+    if (hour > 23 || minute > 59) return null;
+
+    return { kind: "daily", hour, minute, label: text };
   }
 
-  const ping = TRADER_DIGEST_PING_ROLE_ID ? `<@&${TRADER_DIGEST_PING_ROLE_ID}>\n` : "";
-  await channel.send({
-    content: `${ping}${summary.text}`,
-    allowedMentions: TRADER_DIGEST_PING_ROLE_ID
-      ? { roles: [TRADER_DIGEST_PING_ROLE_ID] }
-      : { parse: [] },
-  });
+  const fields = text.split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+  const nameLists = [
+    null,
+    null,
+    null,
+    ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+    ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+  ];
+  const sets = [];
+
+  for (let i = 0; i < 5; i++) {
+    const [min, max] = ranges[i];
+    const names = nameLists[i];
+    const set = new Set();
+    const field = names
+      ? fields[i].replace(/[a-z]{3}/g, (name) => (names.includes(name) ? String(names.indexOf(name) + min) : name))
+      : fields[i];
+
+    for (const part of field.split(",")) {
+      const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) return null;
+
+      const from = m[1] === "*" ? min : Number.parseInt(m[2], 10);
+      const to = m[1] === "*" ? max : m[3] !== undefined ? Number.parseInt(m[3], 10) : m[4] ? max : from;
+      const step = m[4] ? Number.parseInt(m[4], 10) : 1;
+
+      if (from < min || to > max || from > to || step < 1) return null;
+      for (let v = from; v <= to; v += step) set.add(i === 4 && v === 7 ? 0 : v);
+    }
 
-  state.traderStats.lastDigestWeekStartMs = summary.weekStartMs;
-  saveState();
+    sets.push(set);
+  }
+
+  const [minutes, hours, days, months, weekdays] = sets;
+
+  return {
+    kind: "cron",
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+    label: text,
+  };
 }
 
-async function setTraderStatusChannelName(guild, desiredName) {
-  const channel = await guild.channels.fetch(TRADER_STATUS_CHANNEL_ID).catch(() => null);
+function cronDayMatches(spec, parts) {
+  if (!spec.months.has(parts.month)) return false;
 
-  if (!channel || typeof channel.setName !== "function") {
-    return {
-      ok: false,
-      channel: null,
-      error: "Trader status channel not found, or it cannot be renamed.",
-    };
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  const dayOk = spec.days.has(parts.day);
+  const weekdayOk = spec.weekdays.has(weekday);
+
+  if (spec.anyDay && spec.anyWeekday) return true;
+  if (spec.anyDay) return weekdayOk;
+  if (spec.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+}
+
+// The first scheduled time strictly after afterMs.
+function nextDigestTime(spec, afterMs) {
+  if (spec.kind === "interval") return afterMs + spec.ms;
+
+  if (spec.kind === "daily") {
+    const et = getTimeZoneParts(afterMs, TRADER_TIME_ZONE);
+
+    for (let offset = 0; offset < 3; offset++) {
+      const date = new Date(Date.UTC(et.year, et.month - 1, et.day + offset));
+      const candidate = zonedDateTimeToUtcMs(
+        date.getUTCFullYear(),
+        date.getUTCMonth() + 1,
+        date.getUTCDate(),
+        spec.hour,
+        spec.minute,
+        0,
+        TRADER_TIME_ZONE
+      );
+
+      if (candidate > afterMs) return candidate;
+    }
+
+    return afterMs + 24 * 60 * 60 * 1000;
   }
 
-  const botMember = guild.members.me ?? await guild.members.fetchMe().catch(() => null);
-  const perms = botMember ? channel.permissionsFor(botMember) : null;
+  // Cron: walk forward a minute at a time, skipping whole hours and days that cannot match.
+  const limitMs = afterMs + 366 * 24 * 60 * 60 * 1000;
+  let t = Math.floor(afterMs / 60000) * 60000 + 60000;
 
-  if (!perms?.has(PermissionsBitField.Flags.ManageChannels)) {
-    return {
-      ok: false,
-      channel,
-      error: "I need the **Manage Channels** permission to rename the trader status channel.",
-    };
+  while (t <= limitMs) {
+    const et = getTimeZoneParts(t, TRADER_TIME_ZONE);
+
+    if (!cronDayMatches(spec, et)) {
+      t += ((23 - et.hour) * 60 + (60 - et.minute)) * 60000;
+    } else if (!spec.hours.has(et.hour)) {
+      t += (60 - et.minute) * 60000;
+    } else if (!spec.minutes.has(et.minute)) {
+      t += 60000;
+    } else {
+      return t;
+    }
   }
 
-  if (channel.name !== desiredName) {
-    await channel.setName(desiredName, "Trader status command used");
+  return limitMs;
+}
+
+// Sessions that overlap the window, counting one still in progress. Callers formatting many
+// players pass the sessions read once.
+function countSessionsSince(k, sinceMs, sessions = readSessions(sinceMs)) {
+  const closed = sessions.filter((s) => s.k === k && s.endMs >= sinceMs).length;
+  return closed + (state.presence.has(k) ? 1 : 0);
+}
+
+function formatDigestLine(v, cutoff, recentSessions) {
+  const where = MULTI_SERVER && v.server ? ` [${serverLabel(v.server)}]` : "";
+  const notes = state.notes.get(v.k)?.entries ?? [];
+  const latest = notes[notes.length - 1];
+  const noteText = latest
+    ? `\n  Note: ${latest.text.slice(0, 80)}${notes.length > 1 ? ` (+${notes.length - 1} more)` : ""}`
+    : "";
+
+  const score = [`GS ${v.gamerscore ?? "?"}`];
+  if (Number.isFinite(v.riskScore)) {
+    const top = (v.riskReasons ?? []).filter((r) => r.points > 0).slice(0, 3).map((r) => r.label);
+    score.push(`risk ${v.riskScore}${top.length ? ` (${top.join(", ")})` : ""}`);
   }
 
-  return {
-    ok: true,
-    channel,
-    error: null,
-  };
+  // Playtime, sessions and presence follow the name on the online list.
+  const k = gtKey(v.gamertag);
+  const firstSeenMs = state.playtime.get(k)?.firstSeenMs ?? state.flaggedAll.get(v.k)?.firstSeenMs ?? v.firstSeenMs;
+  const seen = [`first seen <t:${Math.floor(firstSeenMs / 1000)}:d>`];
+
+  const sessions = countSessionsSince(k, cutoff, recentSessions);
+  if (sessions) seen.push(`seen ${sessions}x`);
+  if (state.presence.has(k)) seen.push("online now");
+
+  return `${v.gamertag}${where} - ${score.join(", ")} - ${seen.join(", ")}${noteText}`;
 }
 
-async function handleTraderStatusCommand(message) {
-  try {
-    if (message.author.bot) return false;
-    if (!message.guild) return false;
+async function sendDigestIfDue() {
+  if (!DIGEST_CHANNEL_ID) return;
 
-    const content = message.content.toLowerCase().trim();
-    const action = TRADER_STATUS_COMMANDS[content];
+  const now = nowMs();
 
-    if (!action) return false;
+  if (!state.nextDigestMs) {
+    state.nextDigestMs = nextDigestTime(DIGEST_SCHEDULE, state.lastDigestMs || now);
+    saveState();
+  }
 
-    const member = message.member ?? await message.guild.members.fetch(message.author.id).catch(() => null);
+  if (now < state.nextDigestMs) return;
 
-    const hasRole = member?.roles?.cache?.some((role) =>
-      TRADER_STATUS_ROLE_IDS.includes(role.id)
+  // Digests are checked every minute, so a due time further back than that was missed while
+  // the bot was down. One catch-up digest covers the whole gap and the missed runs are skipped.
+  const catchUp = now - state.nextDigestMs > 2 * 60 * 1000;
+  const cutoff = state.lastDigestMs || now - (DIGEST_SCHEDULE.kind === "interval" ? DIGEST_SCHEDULE.ms : 24 * 60 * 60 * 1000);
+  const windowText = `Since <t:${Math.floor(cutoff / 1000)}:f>${catchUp ? " (catch-up after downtime)" : ""}`;
+
+  const items = Array.from(state.pending.entries())
+    .map(([k, v]) => ({ k, ...v }))
+    .filter((v) => (v?.lastSeenMs ?? 0) >= cutoff)
+    .filter((v) => !isTrustedRecordKey(v.k))
+    .sort((a, b) => (a.gamertag || "").localeCompare(b.gamertag || ""));
+
+  const unresolvable = Array.from(state.unresolvable.values())
+    .filter((v) => v.givenUpMs >= cutoff)
+    .sort((a, b) => (a.gamertag || "").localeCompare(b.gamertag || ""));
+
+  const digestChan = await client.channels.fetch(DIGEST_CHANNEL_ID).catch(() => null);
+
+  if (!digestChan || !digestChan.guild) return;
+
+  if (unresolvable.length) {
+    const embeds = buildListEmbeds(
+      `Unresolvable Gamertags - ${unresolvable.length}`,
+      [
+        windowText,
+        `Gave up after ${UNRESOLVED_MAX_ATTEMPTS} attempts. These are often private or misspelled profiles.${UNRESOLVABLE_RETRY_DAYS > 0 ? ` Each is tried again every ${UNRESOLVABLE_RETRY_DAYS} day${UNRESOLVABLE_RETRY_DAYS === 1 ? "" : "s"} while it shows up online.` : ""}`,
+        "",
+        ...unresolvable.map(formatUnresolvedLine),
+      ],
+      0xffcc00
     );
 
-    if (!hasRole) {
-      await message.reply("You do not have permission to use this command.");
-      return true;
+    for (const embed of embeds) {
+      await sendEmbedToChannel(digestChan.guild, DIGEST_CHANNEL_ID, embed);
     }
+  }
 
-    const displayName = getDisplayNameForMember(member, message.author);
+  if (!items.length) {
+    finishDigest(now);
+    return;
+  }
 
-    if (action === "stats") {
-      const statsText = buildTraderStatsText();
-      await message.reply(statsText);
-      return true;
+  const recentSessions = readSessions(cutoff);
+  const lines = items.map((v) => formatDigestLine(v, cutoff, recentSessions));
+  // Each page's players also fill its review menus, which hold 25 options apiece.
+  const pages = groupLines(lines, 3500, REVIEW_MENU_PAGE_MAX);
+
+  for (let i = 0; i < pages.length; i++) {
+    const embed = new EmbedBuilder()
+      .setTitle(`Low Gamerscore Watchlist${catchUp ? " (Catch-up)" : ""}`)
+      .setDescription(pages[i].map((j) => lines[j]).join("\n"))
+      .addFields(
+        { name: "Threshold", value: `< ${GS_THRESHOLD}`, inline: true },
+        { name: "Risk Flag Score", value: `>= ${RISK_FLAG_SCORE}`, inline: true },
+        { name: "Count", value: String(items.length), inline: true },
+        { name: "Window", value: windowText, inline: false }
+      )
+      .setColor(0xff0000)
+      .setTimestamp();
+
+    if (pages.length > 1) {
+      embed.setFooter({ text: `Page ${i + 1}/${pages.length}` });
     }
 
-    if (action === "open") {
-      const activeCountBeforeOpen = getActiveTraderCount();
-      const result = startTraderSession(member, message.author);
+    const components = buildReviewMenus(pages[i].map((j) => items[j]));
+    await sendEmbedToChannel(digestChan.guild, DIGEST_CHANNEL_ID, embed, "", components);
+  }
 
-      // activeSessions is keyed by user ID, so this only rejects a duplicate
-      // session for this trader. Other traders may still open simultaneously.
-      if (!result.started) {
-        await message.reply(
-          "You already have an active trader session. Use `!traderbreak` or `!traderclose` first."
-        );
-        return true;
-      }
+  finishDigest(now);
+}
 
-      const status = await setTraderStatusChannelName(message.guild, TRADER_STATUS_NAMES.online);
+function finishDigest(now) {
+  const next = nextDigestTime(DIGEST_SCHEDULE, state.nextDigestMs);
 
-      if (!status.ok) {
-        // The new session was not announced successfully, so do not leave it active.
-        delete state.traderStats.activeSessions[message.author.id];
-        saveState();
-        await message.reply(status.error);
-        return true;
-      }
+  state.lastDigestMs = now;
+  state.nextDigestMs = next > now ? next : nextDigestTime(DIGEST_SCHEDULE, now);
+  state.pending = new Map();
+  saveState();
 
-      const openedAtUnix = Math.floor(Date.now() / 1000);
-      const rolePing = activeCountBeforeOpen === 0 ? `<@&${TRADER_PING_ROLE_ID}> ` : "";
-      await status.channel.send(`${rolePing}<@${message.author.id}> opened trader at <t:${openedAtUnix}:t>`);
+  console.log(`[DIGEST] Next digest at ${new Date(state.nextDigestMs).toISOString()} (${DIGEST_SCHEDULE.label}).`);
+}
 
-      if (message.channel.id !== status.channel.id) {
-        await message.reply("Trader status set to online.");
-      }
+// state.queue holds { gt, k, guildId, queuedMs, force, recheck } and is saved with the rest of the
+// state, so pending checks survive restarts. queuedKeys mirrors it for quick lookups.
+// force is set by staff via /xqueue front and re-checks a gamertag even if already checked.
+// recheck marks items from the offline re-check sweep, which must not count as a sighting.
+const queuedKeys = new Set(state.queue.map((x) => x.k));
+let working = false;
+let currentQueueItem = null;
 
-      return true;
-    }
+function removeQueuedItem(item) {
+  const idx = state.queue.indexOf(item);
+  if (idx !== -1) state.queue.splice(idx, 1);
 
-    if (action === "break") {
-      const result = stopTraderSession(member, message.author);
-      const activeCount = getActiveTraderCount();
+  if (!state.queue.some((x) => x.k === item.k)) queuedKeys.delete(item.k);
+  saveState();
+}
 
-      const desiredName = activeCount > 0
-        ? TRADER_STATUS_NAMES.online
-        : TRADER_STATUS_NAMES.break;
+function restoreQueue() {
+  const before = state.queue.length;
+  const seen = new Set();
 
-      const status = await setTraderStatusChannelName(message.guild, desiredName);
+  // Drop anything that was checked, trusted or queued twice while the bot was down.
+  state.queue = state.queue.filter((item) => {
+    if (isTrustedKey(item.k) || seen.has(item.k)) return false;
+    if (isCheckedFresh(item.k) && !item.force) return false;
 
-      if (!status.ok) {
-        await message.reply(status.error);
-        return true;
-      }
+    seen.add(item.k);
+    return true;
+  });
 
-      const timeText = result.stopped
-        ? ` Time logged: **${formatDuration(result.addedMs)}**.`
-        : "";
+  queuedKeys.clear();
+  for (const item of state.queue) queuedKeys.add(item.k);
 
-      const stillOnlineText = activeCount > 0
-        ? ` Trader is still online with **${activeCount}** active trader${activeCount === 1 ? "" : "s"}.`
-        : " Trader is currently on break.";
+  saveState();
 
-      await status.channel.send(`**${displayName}** is on trader break.${timeText}${stillOnlineText}`);
+  if (before) {
+    console.log(`[QUEUE] Restored ${state.queue.length} queued check(s) (${before - state.queue.length} dropped).`);
+  }
 
-      if (message.channel.id !== status.channel.id) {
-        await message.reply("Trader break logged.");
-      }
+  if (state.queuePaused) {
+    console.log("[QUEUE] Queue is paused. Use /xqueue resume to start it.");
+  }
 
-      return true;
-    }
+  void processQueue();
+}
 
-    if (action === "close") {
-      const result = stopTraderSession(member, message.author);
-      const activeCount = getActiveTraderCount();
+// Queues a gamertag at the front, moving it there if it is already queued.
+function pushGamertagToFront(gt, guild) {
+  const clean = normalizeGamertag(gt);
+  const k = gtKey(clean);
 
-      const desiredName = activeCount > 0
-        ? TRADER_STATUS_NAMES.online
-        : TRADER_STATUS_NAMES.offline;
+  if (!k) return { ok: false, reason: "invalid" };
+  if (isTrustedKey(k)) return { ok: false, reason: "trusted" };
+
+  const existing = state.queue.find((x) => x.k === k);
+  const item = existing ?? {
+    gt: clean,
+    k,
+    guildId: guild?.id ?? null,
+    queuedMs: nowMs(),
+    ...(state.presence.has(k) ? {} : { recheck: true }),
+  };
+
+  item.force = true;
+
+  if (existing) state.queue.splice(state.queue.indexOf(existing), 1);
+
+  // Never jump ahead of the item being checked right now, it is removed once it finishes.
+  const insertAt = currentQueueItem && state.queue[0] === currentQueueItem ? 1 : 0;
+  state.queue.splice(insertAt, 0, item);
+  queuedKeys.add(k);
+  saveState();
+
+  void processQueue();
+
+  return { ok: true, display: item.gt, moved: !!existing };
+}
+
+function removeGamertagFromQueue(gt) {
+  const k = gtKey(gt);
+  const items = state.queue.filter((x) => x.k === k && x !== currentQueueItem);
+
+  for (const item of items) removeQueuedItem(item);
+
+  return items.length;
+}
+
+function clearQueue() {
+  // The item being checked right now finishes normally and removes itself.
+  const removed = state.queue.filter((x) => x !== currentQueueItem);
+
+  state.queue = state.queue.filter((x) => x === currentQueueItem);
+  queuedKeys.clear();
+  for (const item of state.queue) queuedKeys.add(item.k);
+
+  saveState();
+  return removed.length;
+}
+
+function setQueuePaused(paused) {
+  state.queuePaused = paused;
+  saveState();
+
+  if (!paused) void processQueue();
+}
+
+function estimateQueueDrainMs() {
+  const cooldownMs = Math.max(0, state.xblCooldownUntilMs - nowMs());
+  return cooldownMs + state.queue.length * scrubDelayForBudgetMs();
+}
+
+function buildQueueStatusEmbed() {
+  const now = nowMs();
+  const cooldownActive = state.xblCooldownUntilMs > now;
+  const drainMs = estimateQueueDrainMs();
+
+  const status = state.queuePaused
+    ? "Paused"
+    : currentQueueItem
+      ? `Checking ${currentQueueItem.gt}`
+      : state.queue.length ? "Waiting" : "Idle";
+
+  const next = state.queue
+    .slice(0, 10)
+    .map((x, i) => `${i + 1}. ${x.gt}${x.force ? " (forced)" : ""}${x === currentQueueItem ? " - checking" : ""}`);
+
+  const cooldownUnix = Math.floor(state.xblCooldownUntilMs / 1000);
+
+  const embed = new EmbedBuilder()
+    .setTitle("Background Check Queue")
+    .setColor(state.queuePaused || cooldownActive ? 0xffcc00 : 0x2b2d31)
+    .addFields(
+      { name: "Status", value: status, inline: true },
+      { name: "Queued", value: String(state.queue.length), inline: true },
+      {
+        name: "Estimated Drain",
+        value: state.queue.length ? (drainMs < 60000 ? "< 1m" : formatDuration(drainMs)) : "-",
+        inline: true,
+      },
+      {
+        name: "OpenXBL Cooldown",
+        value: cooldownActive
+          ? `${state.xblCooldownReason ? `${state.xblCooldownReason[0].toUpperCase()}${state.xblCooldownReason.slice(1)}. ` : ""}Active until <t:${cooldownUnix}:t> (<t:${cooldownUnix}:R>)`
+          : "Inactive",
+        inline: true,
+      },
+      {
+        name: "OpenXBL Budget",
+        value: `${Math.floor(availableXblCalls())}/${XBL_CALLS_PER_HOUR} calls`,
+        inline: true,
+      },
+      { name: "Next Up", value: next.length ? next.join("\n").slice(0, 1024) : "Queue is empty.", inline: false }
+    )
+    .setTimestamp();
+
+  if (state.queue.length > next.length) {
+    embed.setFooter({ text: `${state.queue.length - next.length} more not shown.` });
+  }
+
+  return embed;
+}
+
+// A list message with text but no gamertags usually means the list bot changed its layout.
+// A count pattern reading 0 is an empty server, not a parser problem. Returns true when warned.
+async function warnEmptyOnlineList(msg, server) {
+  if (!collectOnlineListText(msg, server.parser).trim()) return false;
+  if (matchOnlineCount(msg, server.parser) === 0) return false;
+
+  console.warn(`[PARSER] ${server.name}: profile "${server.parser.name}" found no gamertags in message ${msg.id}.`);
+
+  if (server.lastEmptyWarningId === msg.id) return true;
+  server.lastEmptyWarningId = msg.id;
+
+  const embed = new EmbedBuilder()
+    .setTitle("ONLINE LIST PARSER FOUND NOTHING")
+    .setColor(0xffcc00)
+    .setDescription(
+      `Parser profile **${server.parser.name}** found no gamertags in the latest online list message.\n` +
+      "The list bot may have changed its layout. Use `/xparser` to test the profiles."
+    )
+    .addFields(
+      { name: "Server", value: server.name, inline: true },
+      { name: "Message", value: msg.url ?? msg.id, inline: false }
+    )
+    .setTimestamp();
+
+  await sendModlogEmbed(embed);
+  return true;
+}
+
+// Id and edit time of a list message. Each server keeps the last one it handled in
+// lastListVersion, so duplicate gateway events are ignored.
+function onlineListVersion(msg) {
+  return `${msg.id}:${msg.editedTimestamp ?? msg.createdTimestamp ?? 0}`;
+}
+
+async function fetchLatestListMessage(server) {
+  if (!server.listChannelId) return null;
+
+  const channel = await client.channels.fetch(server.listChannelId).catch(() => null);
+  if (!channel || !("messages" in channel)) return null;
+
+  const messages = await channel.messages.fetch({ limit: 1 }).catch(() => null);
+  return messages?.first() ?? null;
+}
+
+async function pollOnlineList() {
+  for (const server of SERVERS) {
+    const newest = await fetchLatestListMessage(server);
+    if (!newest) continue;
+
+    // Polling always processes the list, even if unchanged, so unresolved retries and
+    // rechecks that came due since the last update still get queued.
+    await processOnlineListMessage(newest, server, "poll")
+      .catch((e) => console.error(`[POLL] ${server.name} error:`, e));
+  }
+}
+
+// Handles list messages as they are posted or edited. Bursts of edits within
+// ONLINE_LIST_DEBOUNCE_MS collapse into one pass over the latest version.
+function scheduleOnlineListUpdate(msg, server) {
+  server.debouncedMessage = msg;
+
+  if (server.debounceTimer) clearTimeout(server.debounceTimer);
+
+  server.debounceTimer = setTimeout(() => {
+    const latest = server.debouncedMessage;
+    server.debounceTimer = null;
+    server.debouncedMessage = null;
+
+    if (server.lastListVersion === onlineListVersion(latest)) return;
+
+    processOnlineListMessage(latest, server, "live").catch((e) => console.error("[LIST] error:", e));
+  }, ONLINE_LIST_DEBOUNCE_MS);
+}
+
+async function handleOnlineListEvent(message) {
+  const server = getServerForChannel(message?.channelId);
+  if (!server) return;
+
+  // Edits to older messages in the channel are not the current list.
+  const lastId = message.channel?.lastMessageId;
+  if (lastId && lastId !== message.id) return;
+
+  const msg = message.partial ? await message.fetch().catch(() => null) : message;
+  if (!msg || msg.author?.id === client.user?.id) return;
+
+  scheduleOnlineListUpdate(msg, server);
+}
+
+async function processOnlineListMessage(msg, server, source) {
+  server.lastListVersion = onlineListVersion(msg);
+
+  const gts = extractGamertagsFromEmbeds(msg, server.parser);
+  console.log(`[LIST] ${server.name}: found ${gts.length} gamertag(s) in online list (${source}).`);
+
+  const count = extractOnlineCountFromMessage(msg, gts, server.parser);
+
+  // A list the parser could not read would otherwise end every open session.
+  const unreadable = !gts.length && await warnEmptyOnlineList(msg, server);
+
+  if (!unreadable) {
+    updatePresence(server, gts);
+    appendPopulationSample(server, count, gts);
+    await alertKnownPlayersOnline(server, gts);
+    await alertBannedPlayersOnline(server, gts);
+  }
+
+  try {
+    await updateOnlineCountChannel(msg.guild, count, server);
+  } catch (err) {
+    console.warn("[ONLINE COUNT] Failed to update online count channel:", err?.message ?? err);
+  }
+
+  const now = nowMs();
+
+  if (state.xblCooldownUntilMs > now) {
+    const waitSec = Math.ceil((state.xblCooldownUntilMs - now) / 1000);
+    console.warn(`[OPENXBL] Global cooldown active. Skipping gamertag checks for ${waitSec}s.`);
+    return;
+  }
+
+  for (const gt of gts) {
+    enqueueGamertag(gt, msg.guild);
+  }
+
+  enqueueDueFlaggedRechecks(msg.guild);
+
+  // Resume anything left over from a rate limit pause even if nothing new was queued.
+  void processQueue();
+}
+
+function enqueueGamertag(gt, guild, { recheck = false } = {}) {
+  const clean = normalizeGamertag(gt);
+  const k = gtKey(clean);
+
+  // A player who comes online while their offline re-check is queued has now been seen.
+  if (!recheck && queuedKeys.has(k)) {
+    const queued = state.queue.find((x) => x.k === k && x.recheck);
+    if (queued) {
+      queued.recheck = false;
+      saveState();
+    }
+  }
+
+  if (!k || isTrustedKey(k) || isCheckedFresh(k) || queuedKeys.has(k) || isUnresolvedWaiting(k)) return;
+
+  state.queue.push({ gt: clean, k, guildId: guild?.id ?? null, queuedMs: nowMs(), ...(recheck ? { recheck } : {}) });
+  queuedKeys.add(k);
+  saveState();
+  console.log(`[QUEUE] Queued ${clean} for ${state.checked.has(playerKey(k)) ? "OpenXBL re-check" : "OpenXBL check"}.`);
+
+  void processQueue();
+}
+
+// Gamertags that cannot be resolved (not found, or no gamerscore because the profile is
+// private) are retried with exponential spacing. After UNRESOLVED_MAX_ATTEMPTS they move
+// to state.unresolvable, which is reported in the digest and /xflagged for staff review.
+// Unresolvable gamertags are still tried once every UNRESOLVABLE_RETRY_DAYS (0 never) in case
+// the profile was made public or the name was taken, and a successful check or trust clears them.
+function isUnresolvedWaiting(k) {
+  const given = state.unresolvable.get(k);
+  if (given) {
+    return UNRESOLVABLE_RETRY_DAYS <= 0 || nowMs() - given.lastAttemptMs < UNRESOLVABLE_RETRY_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  const entry = state.unresolved.get(k);
+  return !!entry && entry.nextAttemptMs > nowMs();
+}
+
+function recordUnresolvedAttempt(gamertag, k, reason) {
+  const t = nowMs();
+
+  // A periodic retry of a gamertag already given up on. It stays unresolvable.
+  const given = state.unresolvable.get(k);
+  if (given) {
+    given.gamertag = gamertag;
+    given.attempts += 1;
+    given.reason = reason;
+    given.lastAttemptMs = t;
+    saveState();
+
+    console.warn(`[UNRESOLVABLE] ${gamertag}: still unresolved after ${given.attempts} attempt(s) (${reason}).`);
+    return { gaveUp: true, attempts: given.attempts };
+  }
+
+  const entry = state.unresolved.get(k) ?? {
+    gamertag,
+    attempts: 0,
+    reason,
+    firstAttemptMs: t,
+    lastAttemptMs: t,
+    nextAttemptMs: 0,
+    givenUpMs: 0,
+  };
+
+  entry.gamertag = gamertag;
+  entry.attempts += 1;
+  entry.reason = reason;
+  entry.lastAttemptMs = t;
+
+  if (entry.attempts >= UNRESOLVED_MAX_ATTEMPTS) {
+    state.unresolved.delete(k);
+    state.unresolvable.set(k, { ...entry, nextAttemptMs: 0, givenUpMs: t });
+    saveState();
+
+    console.warn(`[UNRESOLVABLE] ${gamertag}: giving up after ${entry.attempts} attempt(s) (${reason}).`);
+    return { gaveUp: true, attempts: entry.attempts };
+  }
+
+  entry.nextAttemptMs = t + UNRESOLVED_RETRY_BASE_MS * 2 ** (entry.attempts - 1);
+  state.unresolved.set(k, entry);
+  saveState();
+
+  return { gaveUp: false, attempts: entry.attempts, nextAttemptMs: entry.nextAttemptMs };
+}
+
+function clearUnresolved(k) {
+  if (!state.unresolved.has(k) && !state.unresolvable.has(k)) return;
+
+  state.unresolved.delete(k);
+  state.unresolvable.delete(k);
+  saveState();
+}
+
+function formatUnresolvedLine(v) {
+  return `${v.gamertag} - ${v.reason || "unresolved"} (${v.attempts} attempt${v.attempts === 1 ? "" : "s"})`;
+}
+
+// Diffs a server's latest online list against state.presence, opening a session for each
+// player who joined and closing one for each who left. A player who shows up on another server
+// has their old session closed there. If no list was seen for two poll intervals the bot was
+// likely offline, so departures are dated to the last list that still showed the player.
+function updatePresence(server, gamertags) {
+  const now = nowMs();
+  const lastUpdatedMs = state.presenceUpdatedMs[server.key] ?? 0;
+  const stale = lastUpdatedMs > 0 && now - lastUpdatedMs > POLL_SECONDS * 2000;
+  const online = new Map(gamertags.map((gt) => [gtKey(gt), gt]));
+  let joined = 0;
+  let left = 0;
+
+  for (const [k, p] of state.presence.entries()) {
+    if (p.server !== server.key || online.has(k)) continue;
+
+    closeSession(k, p, stale ? p.lastSeenMs : now);
+    state.presence.delete(k);
+    left++;
+  }
+
+  for (const [k, gt] of online.entries()) {
+    const p = state.presence.get(k);
+
+    if (p?.server === server.key) {
+      p.gamertag = gt;
+      p.lastSeenMs = now;
+      continue;
+    }
+
+    if (p) closeSession(k, p, now);
+
+    state.presence.set(k, { gamertag: gt, server: server.key, startMs: now, lastSeenMs: now });
+    joined++;
+  }
+
+  state.presenceUpdatedMs[server.key] = now;
+
+  saveState();
+
+  if (joined || left) {
+    const onlineHere = Array.from(state.presence.values()).filter((p) => p.server === server.key).length;
+    console.log(`[SESSIONS] ${server.name}: ${joined} joined, ${left} left, ${onlineHere} online.`);
+  }
+}
+
+// Closed sessions are an append-only JSON lines file of { k, gamertag, server, startMs, endMs }.
+// Sessions that ended more than SESSION_RETENTION_DAYS ago are dropped once a day.
+let lastSessionPruneMs = 0;
+
+function appendSessionRecords(sessions) {
+  try {
+    fs.appendFileSync(SESSIONS_FILE, sessions.map((s) => `${JSON.stringify(s)}\n`).join(""), "utf8");
+  } catch (err) {
+    console.warn("[SESSIONS] Failed to record session:", err?.message ?? err);
+    return false;
+  }
+
+  const now = nowMs();
+  if (now - lastSessionPruneMs >= 24 * 60 * 60 * 1000) {
+    lastSessionPruneMs = now;
+    pruneSessionsFile(now - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  return true;
+}
+
+// Closed sessions that ended at or after sinceMs and started at or before untilMs.
+function readSessions(sinceMs = 0, untilMs = Infinity) {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(SESSIONS_FILE, "utf8");
+  } catch {
+    return [];
+  }
+
+  const sessions = [];
+
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+
+    try {
+      const v = JSON.parse(line);
+      if (!v?.k || !Number.isFinite(v.startMs) || !Number.isFinite(v.endMs)) continue;
+      if (v.endMs < sinceMs || v.startMs > untilMs) continue;
+
+      sessions.push({
+        k: String(v.k),
+        gamertag: String(v.gamertag ?? v.k),
+        server: v.server ? String(v.server) : null,
+        startMs: v.startMs,
+        endMs: v.endMs,
+      });
+    } catch {}
+  }
+
+  return sessions.sort((a, b) => a.startMs - b.startMs);
+}
+
+function pruneSessionsFile(cutoffMs) {
+  const kept = readSessions(cutoffMs);
+  const tmp = `${SESSIONS_FILE}.tmp`;
+
+  try {
+    fs.writeFileSync(tmp, kept.map((s) => `${JSON.stringify(s)}\n`).join(""), "utf8");
+    fs.renameSync(tmp, SESSIONS_FILE);
+  } catch (err) {
+    console.warn("[SESSIONS] Failed to prune history:", err?.message ?? err);
+  }
+}
+
+// Sessions used to be kept in state.json. Move any still there to SESSIONS_FILE.
+if (state.sessions?.length && appendSessionRecords(state.sessions)) {
+  console.log(`[SESSIONS] Moved ${state.sessions.length} session(s) from state.json to ${path.basename(SESSIONS_FILE)}.`);
+  saveState();
+}
+
+delete state.sessions;
+
+function closeSession(k, p, endMs) {
+  const durationMs = Math.max(0, endMs - p.startMs);
+  appendSessionRecords([{ k, gamertag: p.gamertag, server: p.server, startMs: p.startMs, endMs }]);
+
+  const totals = state.playtime.get(k) ?? {
+    gamertag: p.gamertag,
+    totalMs: 0,
+    sessionCount: 0,
+    firstSeenMs: p.startMs,
+  };
+
+  totals.gamertag = p.gamertag;
+  totals.totalMs += durationMs;
+  totals.sessionCount++;
+  totals.firstSeenMs = Math.min(totals.firstSeenMs, p.startMs);
+  totals.lastSeenMs = endMs;
+  state.playtime.set(k, totals);
+}
+
+// Presence keys for a gamertag and the names the same XUID played under before a rename.
+function playerSessionKeys(gamertag) {
+  const k = gtKey(gamertag);
+  const player = getPlayerByKey(k);
+  return new Set([k, ...(player?.gamertags ?? []).map((a) => gtKey(a.gamertag))]);
+}
+
+// Session history for a gamertag, including names the same XUID played under before a rename.
+function getPlayerSeenSummary(gamertag) {
+  const k = gtKey(gamertag);
+  const keys = playerSessionKeys(gamertag);
+  const now = nowMs();
+
+  const current = Array.from(keys).map((key) => state.presence.get(key)).find(Boolean) ?? null;
+  const totals = Array.from(keys).map((key) => state.playtime.get(key)).filter(Boolean);
+
+  const sessions = readSessions(now - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    .filter((s) => keys.has(s.k))
+    .sort((a, b) => b.startMs - a.startMs);
+
+  if (current) {
+    sessions.unshift({ k, gamertag: current.gamertag, server: current.server, startMs: current.startMs, endMs: null });
+  }
+
+  return {
+    current,
+    sessions,
+    totalMs: totals.reduce((sum, t) => sum + t.totalMs, 0) + (current ? now - current.startMs : 0),
+    sessionCount: totals.reduce((sum, t) => sum + t.sessionCount, 0) + (current ? 1 : 0),
+    firstSeenMs: Math.min(...totals.map((t) => t.firstSeenMs), current?.startMs ?? Infinity),
+    lastSeenMs: current ? now : Math.max(0, ...totals.map((t) => t.lastSeenMs)),
+  };
+}
+
+// Sessions that overlap atMs +/- windowMs, including ones still in progress.
+function getSessionsAround(atMs, windowMs) {
+  const fromMs = atMs - windowMs;
+  const toMs = atMs + windowMs;
+  const sessions = readSessions(fromMs, toMs);
+
+  if (nowMs() >= fromMs) {
+    for (const [k, p] of state.presence.entries()) {
+      if (p.startMs <= toMs) sessions.push({ k, gamertag: p.gamertag, server: p.server, startMs: p.startMs, endMs: null });
+    }
+  }
+
+  return sessions.sort((a, b) => a.startMs - b.startMs);
+}
+
+function formatSessionLine(s) {
+  const start = Math.floor(s.startMs / 1000);
+  const end = s.endMs ? `<t:${Math.floor(s.endMs / 1000)}:t>` : "now";
+  const where = MULTI_SERVER && s.server ? ` on ${serverLabel(s.server)}` : "";
+  return `<t:${start}:f> - ${end} (${formatDuration((s.endMs ?? nowMs()) - s.startMs)})${where}`;
+}
+
+// Posts one modlog alert per list for players who were already flagged or unresolvable when
+// their current session began, at most once per player every ONLINE_ALERT_COOLDOWN_MS. Players
+// flagged mid-session are only left out when IMMEDIATE_FLAG_LOGS already sent them a flag log.
+// Players still being retried are left out.
+async function alertKnownPlayersOnline(server, gamertags) {
+  const now = nowMs();
+  const due = [];
+
+  for (const [k, alertedMs] of state.onlineAlerts.entries()) {
+    if (now - alertedMs >= ONLINE_ALERT_COOLDOWN_MS) state.onlineAlerts.delete(k);
+  }
+
+  for (const gt of gamertags) {
+    const k = gtKey(gt);
+    if (!onlineAlertDue(k, now) || isTrustedKey(k)) continue;
+
+    const sessionStartMs = state.presence.get(k)?.startMs ?? now;
+    const flagged = state.flaggedAll.get(playerKey(k));
+    const unresolvable = state.unresolvable.get(k);
+
+    const flaggedBefore = flagged && (!IMMEDIATE_FLAG_LOGS || flagged.firstSeenMs < sessionStartMs);
+
+    if (flaggedBefore && !isTrustedXuid(flagged.xuid)) {
+      const risk = Number.isFinite(flagged.riskScore) ? `, risk ${flagged.riskScore}` : "";
+      due.push({
+        k,
+        line: `**${gt}** - flagged, GS ${flagged.lastKnownGS}${risk}, first seen <t:${Math.floor(flagged.firstSeenMs / 1000)}:d>`,
+      });
+    } else if (unresolvable && unresolvable.givenUpMs && unresolvable.givenUpMs < sessionStartMs) {
+      due.push({
+        k,
+        line: `**${gt}** - unresolvable (${unresolvable.reason || "unresolved"}), first seen <t:${Math.floor(unresolvable.firstAttemptMs / 1000)}:d>`,
+      });
+    }
+  }
+
+  if (!due.length) return;
+
+  for (const { k } of due) state.onlineAlerts.set(k, now);
+  saveState();
+
+  const title = `Known Players Online${MULTI_SERVER ? ` - ${server.name}` : ""}`;
+
+  for (const embed of buildListEmbeds(title, due.map((d) => d.line), 0xff6600)) {
+    await sendModlogEmbed(embed);
+  }
+
+  console.log(`[ONLINE ALERT] ${server.name}: ${due.length} flagged or unresolvable player(s) online.`);
+}
+
+// Staff notes: state.notes maps a player key -> { gamertag, xuid, entries[] }. Ids come from a
+// single counter so "/xnote delete" can name a note without the gamertag being ambiguous.
+function getNotesForKey(k) {
+  return state.notes.get(playerKey(k))?.entries ?? [];
+}
+
+function addNote(gamertag, text, user, key = playerKey(gtKey(gamertag))) {
+  const record = state.notes.get(key) ?? { gamertag, xuid: key.startsWith(XUID_KEY_PREFIX) ? xuidForKey(key) : null, entries: [] };
+
+  const note = {
+    id: state.nextNoteId++,
+    text,
+    authorId: user.id,
+    authorTag: user.tag ?? user.username ?? "",
+    createdMs: nowMs(),
+  };
+
+  record.gamertag = gamertag;
+  record.entries.push(note);
+  state.notes.set(key, record);
+  saveState();
+
+  return note;
+}
+
+function deleteNote(id) {
+  for (const [k, record] of state.notes.entries()) {
+    const idx = record.entries.findIndex((n) => n.id === id);
+    if (idx === -1) continue;
+
+    const [note] = record.entries.splice(idx, 1);
+    if (!record.entries.length) state.notes.delete(k);
+    saveState();
+
+    return { gamertag: record.gamertag, note };
+  }
+
+  return null;
+}
+
+function formatNoteLine(note) {
+  const author = note.authorId ? `<@${note.authorId}>` : note.authorTag || "unknown";
+  return `#${note.id} <t:${Math.floor(note.createdMs / 1000)}:d> ${author}: ${note.text}`;
+}
+
+// Newest notes first, trimmed to fit one embed field.
+function formatNotesField(notes, max = 5) {
+  const lines = notes.slice().reverse().slice(0, max).map(formatNoteLine);
+  if (notes.length > max) lines.push(`...and ${notes.length - max} older. Use /xnote list.`);
+
+  return lines.join("\n").slice(0, 1024);
+}
+
+// Member links: state.links maps Discord user id -> { gamertag, xuid, linkedMs }. A link is only
+// stored once the member proves they control the account by putting a one-time code from
+// state.linkCodes in its Xbox bio.
+const LINK_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function generateLinkCode() {
+  const chars = Array.from(crypto.randomBytes(6), (b) => LINK_CODE_ALPHABET[b % LINK_CODE_ALPHABET.length]);
+  return `XL-${chars.join("")}`;
+}
+
+function isLinkCodeExpired(pending, now = nowMs()) {
+  return now - pending.issuedMs > LINK_CODE_TTL_MINUTES * 60 * 1000;
+}
+
+function startLink(user, gamertag) {
+  const pending = { gamertag, code: generateLinkCode(), issuedMs: nowMs() };
+
+  state.linkCodes.set(user.id, pending);
+  saveState();
+
+  return pending;
+}
+
+function bioHasLinkCode(bio, code) {
+  return String(bio ?? "").toUpperCase().includes(code.toUpperCase());
+}
+
+// Matches on XUID when both sides have one, so a gamertag freed by a rename and taken by
+// someone else does not inherit the old owner's link.
+function findLinkForPlayer(gamertag, xuid) {
+  const k = gtKey(gamertag);
+
+  return Array.from(state.links.values()).find((link) =>
+    link.xuid && xuid ? link.xuid === String(xuid) : gtKey(link.gamertag) === k
+  ) ?? null;
+}
+
+function formatLinkLine(link) {
+  return `<@${link.userId}> - **${link.gamertag}** (linked <t:${Math.floor(link.linkedMs / 1000)}:d>)`;
+}
+
+// Runs a member's gamertag through the same checks as the scrub. Trusted players pass only
+// when the member has proven with /xlink that the account is theirs; an active ban or
+// lookalike of one always goes to review.
+function evaluateVerification(merged, { linked = false } = {}) {
+  const k = gtKey(merged.gamertag);
+  const risk = computeRiskScore(merged);
+
+  if (linked && (isTrustedKey(k) || isTrustedXuid(merged.xuid))) return { passed: true, risk, reason: "trusted" };
+
+  const ban = findBanForPlayer(k) ?? findLookalikeBan(merged.gamertag);
+  if (ban) {
+    const reason = ban.via === "lookalike" ? `resembles banned ${ban.ban.gamertag}` : "banned";
+    return { passed: false, risk, reason };
+  }
+
+  if (risk.flagged) return { passed: false, risk, reason: `risk score ${risk.score} / ${RISK_FLAG_SCORE}` };
+
+  return { passed: true, risk, reason: "" };
+}
+
+async function sendVerificationReview(user, merged, result) {
+  if (!VERIFY_REVIEW_CHANNEL_ID) return false;
+
+  const channel = await client.channels.fetch(VERIFY_REVIEW_CHANNEL_ID).catch(() => null);
+  if (!channel?.guild) return false;
+
+  const embed = buildCheckEmbed(merged, result.risk).setTitle("Verification Needs Review").setColor(0xff9900);
+
+  const notes = getNotesForKey(gtKey(merged.gamertag));
+  if (notes.length) addFieldIf(embed, `Staff Notes (${notes.length})`, formatNotesField(notes, 3), false);
+
+  const link = state.links.get(user.id);
+  const linked = link && gtKey(link.gamertag) === gtKey(merged.gamertag) ? "linked" : "not linked";
+  const content = `<@${user.id}> asked to be verified as **${merged.gamertag}** (${linked}) and did not pass: ${result.reason}.`;
+
+  return await sendEmbedToChannel(channel.guild, VERIFY_REVIEW_CHANNEL_ID, embed, content).catch((err) => {
+    console.warn("[VERIFY] Failed to send review:", err?.message ?? err);
+    return false;
+  });
+}
+
+// /xcheck and /xinfo reply in the open, so staff get the notes in a follow-up only they can see.
+async function sendStaffNotesFollowUp(interaction, gamertag, max = 5) {
+  if (!isStaff(interaction)) return;
+
+  const notes = getNotesForKey(gtKey(gamertag));
+  if (!notes.length) return;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Staff Notes - ${gamertag} - ${notes.length}`)
+    .setDescription(formatNotesField(notes, max))
+    .setColor(0x5865f2);
+
+  await interaction.followUp({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+function onlineAlertDue(alertKey, now = nowMs()) {
+  const alertedMs = state.onlineAlerts.get(alertKey);
+  return alertedMs === undefined || now - alertedMs >= ONLINE_ALERT_COOLDOWN_MS;
+}
+
+// Bans are keyed by the gamertag they were issued to and also match the same XUID under a
+// later name. Lookalikes compare skeletons: lowercase, separators removed, homoglyphs folded.
+// One side may also drop digits added at its start or end, so "Gr1efer_99" matches a ban on
+// "Griefer", but "Player1" does not match "Player2" and stems shorter than
+// LOOKALIKE_MIN_STEM never match.
+const GAMERTAG_HOMOGLYPHS = { 0: "o", 1: "l", i: "l", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b" };
+const LOOKALIKE_MIN_STEM = 4;
+
+function isBanActive(ban, now = nowMs()) {
+  return !ban.expiresMs || ban.expiresMs > now;
+}
+
+function gamertagSkeleton(s) {
+  return Array.from(s).map((c) => GAMERTAG_HOMOGLYPHS[c] ?? c).join("");
+}
+
+// full is the whole name as a skeleton. stems are skeletons with leading or trailing digits dropped.
+function gamertagLookalikeForms(gamertag) {
+  const base = gtKey(gamertag).replace(/[\s_.\-]+/g, "");
+  const stems = [base.replace(/^\d+/, ""), base.replace(/\d+$/, ""), base.replace(/^\d+|\d+$/g, "")]
+    .filter((stem) => stem !== base && stem.length >= LOOKALIKE_MIN_STEM)
+    .map(gamertagSkeleton);
+
+  return { full: base.length >= 3 ? gamertagSkeleton(base) : "", stems: new Set(stems) };
+}
+
+function isGamertagLookalike(a, b) {
+  if (!a.full || !b.full) return false;
+  return a.full === b.full || a.stems.has(b.full) || b.stems.has(a.full);
+}
+
+function findBanForPlayer(k) {
+  const direct = state.bans.get(k);
+  if (direct && isBanActive(direct)) return { k, ban: direct, via: "gamertag" };
+
+  const xuid = xuidForKey(k);
+  if (!xuid) return null;
+
+  for (const [banKey, ban] of state.bans.entries()) {
+    if (ban.xuid === xuid && isBanActive(ban)) return { k: banKey, ban, via: "xuid" };
+  }
+
+  return null;
+}
+
+function findLookalikeBan(gamertag) {
+  const forms = gamertagLookalikeForms(gamertag);
+
+  for (const [banKey, ban] of state.bans.entries()) {
+    if (!isBanActive(ban)) continue;
+
+    if (isGamertagLookalike(forms, gamertagLookalikeForms(ban.gamertag))) {
+      return { k: banKey, ban, via: "lookalike" };
+    }
+  }
+
+  return null;
+}
+
+function buildBanEmbed(title, ban) {
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(isBanActive(ban) ? 0xff0000 : 0x808080)
+    .addFields(
+      { name: "Gamertag", value: ban.gamertag, inline: true },
+      { name: "XUID", value: ban.xuid ?? "Unknown", inline: true },
+      { name: "Status", value: isBanActive(ban) ? "Active" : "Expired", inline: true },
+      { name: "Reason", value: ban.reason.slice(0, 1024) || "None given", inline: false },
+      { name: "Issued By", value: ban.staffId ? `<@${ban.staffId}>` : ban.staffTag || "Unknown", inline: true },
+      { name: "Issued", value: `<t:${Math.floor(ban.addedMs / 1000)}:f>`, inline: true },
+      {
+        name: "Expires",
+        value: ban.expiresMs ? `<t:${Math.floor(ban.expiresMs / 1000)}:f> (<t:${Math.floor(ban.expiresMs / 1000)}:R>)` : "Never",
+        inline: true,
+      }
+    )
+    .setTimestamp();
+
+  addFieldIf(embed, "Evidence", ban.evidence, false);
+
+  return embed;
+}
+
+function issueBan(gamertag, xuid, { reason, evidence = "", days = 0 }, user) {
+  const k = gtKey(gamertag);
+  const ban = {
+    gamertag,
+    xuid,
+    reason: reason.slice(0, 500),
+    evidence: evidence.slice(0, 500),
+    staffId: user.id,
+    staffTag: user.tag ?? user.username ?? "",
+    addedMs: nowMs(),
+    expiresMs: days ? nowMs() + days * 24 * 60 * 60 * 1000 : 0,
+  };
+
+  const replaced = state.bans.has(k);
+  state.bans.set(k, ban);
+  saveState();
+
+  return { ban, replaced };
+}
+
+function formatBanLine(ban) {
+  const expiry = ban.expiresMs ? `, expires <t:${Math.floor(ban.expiresMs / 1000)}:R>` : "";
+  return `**${ban.gamertag}** - ${ban.reason || "no reason given"}${expiry}`;
+}
+
+// High-priority counterpart to alertKnownPlayersOnline: pings STAFF_ROLE_ID when a banned
+// account, or a gamertag resembling a banned one, is online. Trusted players are only
+// matched on an exact ban, never as lookalikes.
+async function alertBannedPlayersOnline(server, gamertags) {
+  if (!state.bans.size) return;
+
+  const now = nowMs();
+  const lines = [];
+
+  for (const gt of gamertags) {
+    const k = gtKey(gt);
+    const alertKey = `ban:${k}`;
+    if (!onlineAlertDue(alertKey, now)) continue;
+
+    const match = findBanForPlayer(k) ?? (isTrustedKey(k) ? null : findLookalikeBan(gt));
+    if (!match) continue;
+
+    state.onlineAlerts.set(alertKey, now);
+
+    if (match.via === "gamertag") {
+      lines.push(`**${gt}** is banned: ${match.ban.reason || "no reason given"}`);
+    } else if (match.via === "xuid") {
+      lines.push(`**${gt}** is the same account as banned **${match.ban.gamertag}**: ${match.ban.reason || "no reason given"}`);
+    } else {
+      lines.push(`**${gt}** looks like banned **${match.ban.gamertag}**: ${match.ban.reason || "no reason given"}`);
+    }
+  }
+
+  if (!lines.length) return;
+
+  saveState();
+
+  const title = `BANNED PLAYER ONLINE${MULTI_SERVER ? ` - ${server.name}` : ""}`;
+  const embeds = buildListEmbeds(title, lines, 0xff0000);
+
+  for (let i = 0; i < embeds.length; i++) {
+    await sendModlogEmbed(embeds[i], i === 0 && STAFF_ROLE_ID ? `<@&${STAFF_ROLE_ID}>` : "");
+  }
+
+  console.warn(`[BANS] ${server.name}: ${lines.length} banned or lookalike player(s) online.`);
+}
+
+// Population history is an append-only JSON lines file of { t, server, count, gamertags }
+// samples, one per processed list. Samples older than POPULATION_RETENTION_DAYS are dropped once a day.
+let lastPopulationPruneMs = 0;
+
+function appendPopulationSample(server, count, gamertags) {
+  const now = nowMs();
+
+  try {
+    fs.appendFileSync(POPULATION_FILE, `${JSON.stringify({ t: now, server: server.key, count, gamertags })}\n`, "utf8");
+  } catch (err) {
+    console.warn("[POPULATION] Failed to record sample:", err?.message ?? err);
+    return;
+  }
+
+  if (now - lastPopulationPruneMs >= 24 * 60 * 60 * 1000) {
+    lastPopulationPruneMs = now;
+    prunePopulationFile(now - POPULATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+}
+
+// Samples recorded before servers were configured belong to the first server.
+function readPopulationSamples(sinceMs = 0, server = null) {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(POPULATION_FILE, "utf8");
+  } catch {
+    return [];
+  }
+
+  const samples = [];
+
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+
+    try {
+      const v = JSON.parse(line);
+      if (!Number.isFinite(v?.t) || v.t < sinceMs) continue;
+
+      const serverKey = v.server ? String(v.server) : SERVERS[0].key;
+      if (server && serverKey !== server.key) continue;
+
+      samples.push({
+        t: v.t,
+        server: serverKey,
+        count: Number.isFinite(v.count) ? v.count : 0,
+        gamertags: Array.isArray(v.gamertags) ? v.gamertags.map(String) : [],
+      });
+    } catch {}
+  }
+
+  return samples.sort((a, b) => a.t - b.t);
+}
+
+function prunePopulationFile(cutoffMs) {
+  const kept = readPopulationSamples(cutoffMs);
+  const tmp = `${POPULATION_FILE}.tmp`;
+
+  try {
+    fs.writeFileSync(tmp, kept.map((s) => `${JSON.stringify(s)}\n`).join(""), "utf8");
+    fs.renameSync(tmp, POPULATION_FILE);
+  } catch (err) {
+    console.warn("[POPULATION] Failed to prune history:", err?.message ?? err);
+  }
+}
+
+function easternDateKey(timestampMs) {
+  const p = getTimeZoneParts(timestampMs, TRADER_TIME_ZONE);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+function easternWeekKey(timestampMs) {
+  const p = getTimeZoneParts(timestampMs, TRADER_TIME_ZONE);
+  const monday = new Date(Date.UTC(p.year, p.month - 1, p.day));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+// Averages are weighted by how long each sample stood. A gap longer than two poll intervals
+// means the bot was offline, so the sample only counts for two intervals.
+function computePopulationStats(samples, sinceMs) {
+  const maxWeightMs = POLL_SECONDS * 2000;
+  const now = nowMs();
+  const days = new Map();
+  const hours = Array.from({ length: 24 }, () => ({ weighted: 0, ms: 0 }));
+  const weeks = new Map();
+  const firstSeen = new Map();
+
+  for (const [k, v] of state.playtime.entries()) firstSeen.set(k, v.firstSeenMs);
+
+  samples.forEach((s, i) => {
+    for (const gt of s.gamertags) {
+      const k = gtKey(gt);
+      if (!firstSeen.has(k) || s.t < firstSeen.get(k)) firstSeen.set(k, s.t);
+    }
+
+    if (s.t < sinceMs) return;
+
+    const weightMs = Math.min((samples[i + 1]?.t ?? now) - s.t, maxWeightMs);
+    const dayKey = easternDateKey(s.t);
+    const day = days.get(dayKey) ?? { peak: 0, weighted: 0, ms: 0 };
+
+    day.peak = Math.max(day.peak, s.count);
+    day.weighted += s.count * weightMs;
+    day.ms += weightMs;
+    days.set(dayKey, day);
+
+    const hour = hours[getTimeZoneParts(s.t, TRADER_TIME_ZONE).hour];
+    hour.weighted += s.count * weightMs;
+    hour.ms += weightMs;
+
+    const weekKey = easternWeekKey(s.t);
+    if (!weeks.has(weekKey)) weeks.set(weekKey, new Set());
+    for (const gt of s.gamertags) weeks.get(weekKey).add(gtKey(gt));
+  });
+
+  const inRange = new Set();
+  for (const s of samples) {
+    if (s.t >= sinceMs) for (const gt of s.gamertags) inRange.add(gtKey(gt));
+  }
+
+  const newPlayers = Array.from(inRange).filter((k) => firstSeen.get(k) >= sinceMs).length;
+
+  return {
+    days: Array.from(days.entries()).sort((a, b) => a[0].localeCompare(b[0])).map(([date, d]) => ({
+      date,
+      peak: d.peak,
+      average: d.ms ? d.weighted / d.ms : 0,
+    })),
+    hours: hours.map((h) => (h.ms ? h.weighted / h.ms : null)),
+    weeks: Array.from(weeks.entries()).sort((a, b) => a[0].localeCompare(b[0])).map(([week, keys]) => ({
+      week,
+      unique: keys.size,
+    })),
+    newPlayers,
+    returningPlayers: inRange.size - newPlayers,
+  };
+}
+
+function formatHourHeatmap(hours) {
+  const max = Math.max(1, ...hours.filter((h) => h !== null));
+
+  return hours
+    .map((avg, hour) => {
+      const label = String(hour).padStart(2, "0");
+      if (avg === null) return `${label} no data`;
+      return `${label} ${"\u2588".repeat(Math.round((avg / max) * 20)).padEnd(20, " ")} ${avg.toFixed(1)}`;
+    })
+    .join("\n");
+}
+
+// Text starting with = + - @ is prefixed with ' so spreadsheet apps don't run it as a formula.
+function csvCell(value) {
+  let s = String(value ?? "");
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function buildPopulationCsv(samples) {
+  const rows = [["timestamp_utc", "time_et", "count", "gamertags"]];
+
+  for (const s of samples) {
+    const p = getTimeZoneParts(s.t, TRADER_TIME_ZONE);
+    const hhmm = `${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")}`;
+
+    rows.push([new Date(s.t).toISOString(), `${easternDateKey(s.t)} ${hhmm}`, s.count, s.gamertags.join(";")]);
+  }
+
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// /xexport datasets. JSON exports the stored records as they are; CSV flattens them into the
+// columns below. range gives the span a record was active over, for the from/to filters.
+// Records are sorted by gamertag unless the dataset gives its own compare.
+function isoOrEmpty(ms) {
+  return ms ? new Date(ms).toISOString() : "";
+}
+
+const FLAG_EXPORT_COLUMNS = [
+  ["risk_score", (v) => v.riskScore ?? ""],
+  ["risk_reasons", (v) => (v.riskReasons ?? []).map((r) => `${r.label} (${r.points > 0 ? "+" : ""}${r.points})`).join("; ")],
+  ["server", (v) => (v.server ? serverLabel(v.server) : "")],
+  ["first_seen_utc", (v) => isoOrEmpty(v.firstSeenMs)],
+  ["last_seen_utc", (v) => isoOrEmpty(v.lastSeenMs)],
+];
+
+const EXPORT_DATASETS = {
+  trusted: {
+    label: "trusted",
+    entries: () => Object.entries(state.trusted),
+    range: (v) => [v.addedMs, v.addedMs],
+    columns: [
+      ["added_utc", (v) => isoOrEmpty(v.addedMs)],
+      ["added_by_id", (v) => v.addedById],
+      ["added_by", (v) => v.addedByTag],
+    ],
+  },
+  pending: {
+    label: "pending",
+    entries: () => Array.from(state.pending.entries()),
+    range: (v) => [v.firstSeenMs, v.lastSeenMs],
+    columns: [["gamerscore", (v) => v.gamerscore], ...FLAG_EXPORT_COLUMNS],
+  },
+  flagged: {
+    label: "all-time flagged",
+    entries: () => Array.from(state.flaggedAll.entries()),
+    range: (v) => [v.firstSeenMs, v.lastSeenMs],
+    columns: [["gamerscore", (v) => (Number.isFinite(v.lastKnownGS) ? v.lastKnownGS : "")], ...FLAG_EXPORT_COLUMNS],
+  },
+  checked: {
+    label: "checked",
+    entries: () => Array.from(state.checked.entries()),
+    range: (v) => [v.checkedMs, v.checkedMs],
+    columns: [
+      ["gamerscore", (v) => v.gamerscore],
+      ["checked_utc", (v) => isoOrEmpty(v.checkedMs)],
+    ],
+  },
+  reviews: {
+    label: "review log",
+    entries: () => state.reviewLog.map((v) => [v.k, v]),
+    range: (v) => [v.atMs, v.atMs],
+    compare: (a, b) => a[1].atMs - b[1].atMs,
+    columns: [
+      ["action", (v) => v.action],
+      ["source", (v) => v.source],
+      ["staff_id", (v) => v.staffId],
+      ["staff", (v) => v.staffTag],
+      ["detail", (v) => v.detail ?? ""],
+      ["message_id", (v) => v.messageId],
+      ["at_utc", (v) => isoOrEmpty(v.atMs)],
+    ],
+  },
+};
+
+// Discord's upload limit for servers without boosts.
+const EXPORT_MAX_BYTES = 10 * 1024 * 1024;
+
+// "YYYY-MM-DD" as the start of that day in ET, or of a day dayOffset days later.
+// Returns NaN for anything else, including dates that don't exist.
+function parseEasternDate(text, dayOffset = 0) {
+  const m = String(text ?? "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return Number.NaN;
+
+  const [year, month, day] = m.slice(1).map((x) => Number.parseInt(x, 10));
+  if (month < 1 || month > 12 || day < 1) return Number.NaN;
+
+  // Rejects days past the end of the month, like 2025-02-31.
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return Number.NaN;
+
+  return zonedDateTimeToUtcMs(year, month, day + dayOffset, 0, 0, 0, TRADER_TIME_ZONE);
+}
+
+// "YYYY-MM-DD HH:MM", "today 21:00" or "yesterday 9pm" in ET. Returns NaN for anything else.
+function parseEasternDateTime(text) {
+  const m = String(text ?? "").trim().toLowerCase()
+    .match(/^(\d{4}-\d{2}-\d{2}|today|yesterday)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!m) return Number.NaN;
+
+  const [, dayText, hourText, minuteText, meridiem] = m;
+  let hour = Number.parseInt(hourText, 10);
+  const minute = minuteText ? Number.parseInt(minuteText, 10) : 0;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return Number.NaN;
+    hour = (hour % 12) + (meridiem === "pm" ? 12 : 0);
+  } else if (!minuteText) {
+    return Number.NaN;
+  }
+
+  if (hour > 23 || minute > 59) return Number.NaN;
+
+  const dateText = dayText === "today" || dayText === "yesterday" ? easternDateKey(nowMs()) : dayText;
+  if (Number.isNaN(parseEasternDate(dateText))) return Number.NaN;
+
+  const [year, month, day] = dateText.split("-").map((x) => Number.parseInt(x, 10));
+  return zonedDateTimeToUtcMs(year, month, day - (dayText === "yesterday" ? 1 : 0), hour, minute, 0, TRADER_TIME_ZONE);
+}
+
+// Records whose active span overlaps [fromMs, toMs). Records without a date are kept only
+// when no filter is given.
+function collectExportRecords(dataset, fromMs = 0, toMs = Infinity) {
+  return dataset.entries()
+    .filter(([, v]) => {
+      if (!fromMs && toMs === Infinity) return true;
+
+      const [start, end] = dataset.range(v);
+      return Number.isFinite(start) && start > 0 && start < toMs && (end ?? start) >= fromMs;
+    })
+    .sort(dataset.compare ?? ((a, b) => (a[1].gamertag || a[0]).localeCompare(b[1].gamertag || b[0])));
+}
+
+function buildExportCsv(dataset, records) {
+  const rows = [["key", "gamertag", "xuid", ...dataset.columns.map(([name]) => name)]];
+
+  for (const [k, v] of records) {
+    rows.push([k, v.gamertag, v.xuid ?? "", ...dataset.columns.map(([, get]) => get(v))]);
+  }
+
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// Flagged players are re-checked even while offline, a few per poll, so flags clear
+// without waiting for the player to show up in the online list again. Re-checks go by
+// gamertag, so a record whose name now belongs to another account is left for staff.
+function enqueueDueFlaggedRechecks(guild) {
+  if (RECHECK_AFTER_DAYS <= 0) return;
+
+  const due = Array.from(state.flaggedAll.entries())
+    .filter(([k, v]) => playerKey(gtKey(v.gamertag)) === k)
+    .filter(([k, v]) => !isCheckedFresh(k) && !queuedKeys.has(gtKey(v.gamertag)) && !isTrustedRecordKey(k))
+    .sort((a, b) => (state.checked.get(a[0])?.checkedMs ?? 0) - (state.checked.get(b[0])?.checkedMs ?? 0))
+    .slice(0, RECHECK_SWEEP_PER_POLL);
+
+  for (const [, v] of due) enqueueGamertag(v.gamertag, guild, { recheck: true });
+}
+
+async function processQueue() {
+  if (working) return;
+
+  working = true;
+
+  try {
+    while (state.queue.length && !state.queuePaused) {
+      // The item stays queued until it has been handled, so a crash mid-check does not lose it.
+      const item = state.queue[0];
+
+      if (isTrustedKey(item.k) || (isCheckedFresh(item.k) && !item.force)) {
+        removeQueuedItem(item);
+        continue;
+      }
+
+      const guild = item.guildId ? client.guilds.cache.get(item.guildId) ?? null : null;
+      const now = nowMs();
+
+      if (state.xblCooldownUntilMs > now) {
+        const waitMs = state.xblCooldownUntilMs - now;
+        console.warn(`[OPENXBL] Global cooldown active. Pausing queue for ${Math.ceil(waitMs / 1000)}s.`);
+        await sleep(waitMs);
+      }
+
+      // Staff may have paused the queue while it was waiting out the cooldown.
+      if (state.queuePaused) break;
+
+      currentQueueItem = item;
+
+      try {
+        console.log(`[CHECK] ${item.gt}: checking OpenXBL...`);
+        // Retries of unresolved names skip the cache, so every attempt counted toward
+        // UNRESOLVED_MAX_ATTEMPTS (and each later retry) is a real OpenXBL lookup.
+        const retry = state.unresolved.has(item.k) || state.unresolvable.has(item.k);
+        const merged = await fetchOpenXblMergedProfile(item.gt, { fresh: item.force === true || retry });
+        const gs = merged.gamerscore;
+        const previous = state.checked.get(playerKey(item.k));
+
+        recordPlayerProfile(merged);
+        const key = playerKeyFor(merged.gamertag || item.gt, merged.xuid ?? null);
+
+        if (gs === null || gs === undefined) {
+          const res = recordUnresolvedAttempt(merged.gamertag || item.gt, item.k, "gamerscore unavailable");
+
+          if (!res.gaveUp) {
+            console.warn(`[SKIPPED] ${item.gt}: Gamerscore unavailable. Attempt ${res.attempts}/${UNRESOLVED_MAX_ATTEMPTS}, next try after ${new Date(res.nextAttemptMs).toISOString()}.`);
+          }
+        } else {
+          const risk = computeRiskScore(merged);
+
+          // Only spend the extra call when the profile would otherwise pass. It runs before the
+          // check is recorded, so if it fails the item stays queued and is checked again.
+          if (FLAG_MISSING_TITLE && !risk.flagged && merged.xuid) {
+            const history = await fetchPlayerTitleHistory(merged.xuid);
+
+            if (history === null) {
+              risk.reasons.push({
+                key: "noTitleHistory",
+                label: `No play history for title ${XBL_TITLE_ID}`,
+                points: Math.max(0, RISK_FLAG_SCORE - risk.score),
+              });
+              risk.score = Math.max(risk.score, RISK_FLAG_SCORE);
+              risk.flagged = true;
+            }
+          }
+
+          clearUnresolved(item.k);
+
+          state.checked.set(key, {
+            gamertag: merged.gamertag,
+            xuid: merged.xuid ?? null,
+            gamerscore: gs,
+            checkedMs: nowMs(),
+          });
+          saveState();
+
+          console.log(`[CHECK] ${item.gt}: gamerscore ${gs}, risk ${risk.score}${risk.reasons.length ? ` (${risk.reasons.map((r) => r.key).join(", ")})` : ""}.`);
+
+          if (previous?.xuid && merged.xuid && previous.xuid !== String(merged.xuid)) {
+            console.log(`[RECHECK] ${item.gt}: gamertag now belongs to a different XUID (${previous.xuid} -> ${merged.xuid}). Older records stay with the previous account.`);
+          }
+
+          if (isTrustedKey(gtKey(merged.gamertag)) || isTrustedXuid(merged.xuid)) {
+            console.log(`[CHECK] ${item.gt}: trusted account (XUID ${merged.xuid}). Not flagging.`);
+          } else if (!risk.flagged && state.flaggedAll.has(key)) {
+            const cleared = clearFlagged(key);
+            console.log(`[RECHECK] ${item.gt}: risk ${risk.score} is now below ${RISK_FLAG_SCORE}. Removed from flagged.`);
+
+            await sendModlogEmbed(new EmbedBuilder()
+              .setTitle("XCHECK FLAG CLEARED")
+              .setDescription("This player passed an automatic re-check and was removed from the flagged list.")
+              .addFields(
+                { name: "Gamertag", value: merged.gamertag, inline: true },
+                { name: "Gamerscore", value: String(gs), inline: true },
+                { name: "Risk Score", value: String(risk.score), inline: true },
+                {
+                  name: "Previous Gamerscore",
+                  value: Number.isFinite(cleared?.lastKnownGS) ? String(cleared.lastKnownGS) : "Unknown",
+                  inline: true,
+                },
+                {
+                  name: "Flagged Since",
+                  value: cleared?.firstSeenMs ? `<t:${Math.floor(cleared.firstSeenMs / 1000)}:f>` : "Unknown",
+                  inline: true,
+                }
+              )
+              .setColor(0x00ff00)
+              .setTimestamp());
+          } else if (risk.flagged && item.recheck) {
+            // The player was not online, so only the stored score changes. No digest entry or flag log.
+            updateFlaggedRisk(key, { gamerscore: gs, riskScore: risk.score, riskReasons: risk.reasons });
+            console.log(`[RECHECK] ${item.gt}: still flagged (risk ${risk.score}).`);
+          } else if (risk.flagged) {
+            addFlagged({
+              gamertag: merged.gamertag,
+              xuid: merged.xuid,
+              gamerscore: gs,
+              riskScore: risk.score,
+              riskReasons: risk.reasons,
+            });
+
+            if (IMMEDIATE_FLAG_LOGS && guild && MODLOG_CHANNEL_ID) {
+              const embed = new EmbedBuilder()
+                .setTitle("XCHECK FLAGGED")
+                .addFields(
+                  { name: "Gamertag", value: merged.gamertag, inline: true },
+                  { name: "Gamerscore", value: String(gs), inline: true },
+                  { name: "Risk Score", value: `${risk.score} / ${RISK_FLAG_SCORE}`, inline: true },
+                  { name: "Result", value: "FLAGGED", inline: false },
+                  { name: "Risk Breakdown", value: formatRiskReasons(risk.reasons).slice(0, 1024), inline: false }
+                )
+                .setColor(0xff0000)
+                .setTimestamp();
+
+              if (merged.tier) {
+                embed.addFields({ name: "Tier", value: String(merged.tier), inline: true });
+              }
+
+              if (MULTI_SERVER) {
+                addFieldIf(embed, "Server", serverLabel(state.presence.get(item.k)?.server));
+              }
+
+              const notes = getNotesForKey(key);
+              if (notes.length) addFieldIf(embed, `Staff Notes (${notes.length})`, formatNotesField(notes, 3), false);
+
+              if (merged.gamerpic) {
+                embed.setThumbnail(merged.gamerpic);
+              }
+
+              await sendEmbedToChannel(guild, MODLOG_CHANNEL_ID, embed, "", [buildReviewButtons(key)]);
+            }
+          }
+        }
+      } catch (err) {
+        // These leave the item queued and pause the whole queue until the cooldown ends.
+        const pause = err instanceof RateLimitError
+          ? { ms: XBL_GLOBAL_COOLDOWN_MS, reason: "rate limited" }
+          : err instanceof XblAuthError
+            ? { ms: XBL_GLOBAL_COOLDOWN_MS, reason: "API key rejected" }
+            : isXblOutageError(err)
+              ? { ms: XBL_OUTAGE_PAUSE_MS, reason: err instanceof XblTimeoutError ? "timing out" : "outage" }
+              : null;
+
+        if (pause) {
+          state.xblCooldownUntilMs = nowMs() + pause.ms;
+          state.xblCooldownReason = pause.reason;
+          saveState();
+          console.warn(`[OPENXBL] ${pause.reason} while checking ${item.gt}. Pausing queue for ${Math.round(pause.ms / 60000)} minute(s).`);
+          currentQueueItem = null;
+          break;
+        }
+
+        const msg = String(err?.message ?? err);
+
+        if (err instanceof XblNotFoundError) {
+          const res = recordUnresolvedAttempt(item.gt, item.k, "gamertag not found");
+
+          if (!res.gaveUp) {
+            console.warn(`[NOT FOUND] ${item.gt}: OpenXBL could not find this gamertag. Attempt ${res.attempts}/${UNRESOLVED_MAX_ATTEMPTS}, next try after ${new Date(res.nextAttemptMs).toISOString()}.`);
+          }
+        } else {
+          console.error(`[ERROR] ${item.gt}:`, msg);
+        }
+      }
+
+      currentQueueItem = null;
+      removeQueuedItem(item);
+
+      const delayMs = scrubDelayForBudgetMs();
+
+      if (delayMs > 0) {
+        if (delayMs > SCRUB_DELAY_MS) {
+          console.log(`[OPENXBL] Budget low (${Math.floor(availableXblCalls())} calls left). Slowing queue to ${Math.round(delayMs / 1000)}s per check.`);
+        }
+
+        await sleep(delayMs);
+      }
+    }
+  } finally {
+    working = false;
+    currentQueueItem = null;
+  }
+}
+
+function buildListEmbeds(title, lines, color = 0x2b2d31) {
+  const chunks = chunkLines(lines, 3500);
+
+  return chunks.map((chunk, i) => {
+    const e = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(chunk || "-")
+      .setColor(color)
+      .setTimestamp();
+
+    if (chunks.length > 1) {
+      e.setFooter({ text: `Page ${i + 1}/${chunks.length}` });
+    }
+
+    return e;
+  });
+}
+
+const TRADER_TIME_ZONE = "America/New_York";
+
+function getTimeZoneParts(timestampMs, timeZone = TRADER_TIME_ZONE) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  });
+
+  const parts = Object.fromEntries(
+    formatter
+      .formatToParts(new Date(timestampMs))
+      .filter((part) => part.type !== "literal")
+      .map((part) => [part.type, Number(part.value)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+function zonedDateTimeToUtcMs(year, month, day, hour, minute, second, timeZone) {
+  const targetAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  let candidate = targetAsUtc;
+
+  // Resolve the zone offset at this date. Repeating also handles DST changes.
+  for (let i = 0; i < 3; i++) {
+    const actual = getTimeZoneParts(candidate, timeZone);
+    const actualAsUtc = Date.UTC(
+      actual.year,
+      actual.month - 1,
+      actual.day,
+      actual.hour,
+      actual.minute,
+      actual.second
+    );
+
+    candidate += targetAsUtc - actualAsUtc;
+  }
+
+  return candidate;
+}
+
+function getTraderWeekStartMs(referenceMs = nowMs()) {
+  const easternNow = getTimeZoneParts(referenceMs, TRADER_TIME_ZONE);
+
+  // This Date represents Eastern calendar fields; UTC methods avoid host-zone effects.
+  const localDate = new Date(Date.UTC(
+    easternNow.year,
+    easternNow.month - 1,
+    easternNow.day
+  ));
+
+  const daysSinceFriday = (localDate.getUTCDay() - 5 + 7) % 7;
+  localDate.setUTCDate(localDate.getUTCDate() - daysSinceFriday);
+
+  const makeCandidate = () => zonedDateTimeToUtcMs(
+    localDate.getUTCFullYear(),
+    localDate.getUTCMonth() + 1,
+    localDate.getUTCDate(),
+    6,
+    0,
+    0,
+    TRADER_TIME_ZONE
+  );
+
+  let candidate = makeCandidate();
+
+  // Before Friday at 6:00 AM Eastern, use the preceding Friday.
+  if (candidate > referenceMs) {
+    localDate.setUTCDate(localDate.getUTCDate() - 7);
+    candidate = makeCandidate();
+  }
+
+  return candidate;
+}
+
+function normalizeTraderStatsState() {
+  if (!state.traderStats || typeof state.traderStats !== "object") {
+    state.traderStats = defaultTraderStats();
+  }
+
+  if (!state.traderStats.totals || typeof state.traderStats.totals !== "object") {
+    state.traderStats.totals = {};
+  }
+
+  if (!state.traderStats.activeSessions || typeof state.traderStats.activeSessions !== "object") {
+    state.traderStats.activeSessions = {};
+  }
+
+  if (!Number.isFinite(Number(state.traderStats.weekStartMs))) {
+    state.traderStats.weekStartMs = 0;
+  }
+
+  if (!Number.isFinite(Number(state.traderStats.lastDigestWeekStartMs))) {
+    state.traderStats.lastDigestWeekStartMs = 0;
+  }
+
+  if (!state.traderStats.lastWeekSummary || typeof state.traderStats.lastWeekSummary !== "object") {
+    state.traderStats.lastWeekSummary = null;
+  }
+}
+
+function getTraderStatsRows(referenceMs = nowMs()) {
+  const totals = {};
+
+  // Clone each nested record so displaying stats never mutates saved totals.
+  for (const [userId, record] of Object.entries(state.traderStats.totals || {})) {
+    totals[userId] = {
+      ...record,
+      totalMs: Number(record.totalMs || 0),
+    };
+  }
+
+  for (const [userId, session] of Object.entries(state.traderStats.activeSessions || {})) {
+    if (!totals[userId]) {
+      totals[userId] = {
+        userId,
+        displayName: session.displayName || "Unknown Trader",
+        totalMs: 0,
+      };
+    }
+
+    const startedMs = Number(session.startedMs);
+    if (Number.isFinite(startedMs)) {
+      totals[userId].totalMs += Math.max(0, referenceMs - startedMs);
+    }
+  }
+
+  return Object.values(totals)
+    .filter((x) => Number(x.totalMs || 0) > 0)
+    .sort((a, b) => Number(b.totalMs || 0) - Number(a.totalMs || 0));
+}
+
+function formatTraderStatsLines(rows) {
+  return rows.map((x) => `**${x.displayName || "Unknown Trader"}** - ${formatDuration(Number(x.totalMs || 0))}`);
+}
+
+function buildTraderWeeklyDigestText(rows, weekStartMs, weekEndMs) {
+  const startUnix = Math.floor(Number(weekStartMs || 0) / 1000);
+  const endUnix = Math.floor(Number(weekEndMs || 0) / 1000);
+  const rangeText = weekStartMs
+    ? `\n<t:${startUnix}:f> to <t:${endUnix}:f>`
+    : "";
+
+  if (!rows.length) {
+    return `**Weekly Trader Hours Digest**${rangeText}\nNo trader time logged.`;
+  }
+
+  const totalMs = rows.reduce((sum, row) => sum + Number(row.totalMs || 0), 0);
+
+  return `**Weekly Trader Hours Digest**${rangeText}\n${formatTraderStatsLines(rows).join("\n")}\n\nTotal trader time: **${formatDuration(totalMs)}**`;
+}
+
+function rollTraderStatsWeek(currentWeekStart) {
+  const previousWeekStart = Number(state.traderStats.weekStartMs || 0);
+  const rows = getTraderStatsRows(currentWeekStart);
+
+  state.traderStats.lastWeekSummary = {
+    weekStartMs: previousWeekStart,
+    weekEndMs: currentWeekStart,
+    createdMs: nowMs(),
+    text: buildTraderWeeklyDigestText(rows, previousWeekStart, currentWeekStart),
+  };
+
+  const carriedActiveSessions = {};
+  for (const [userId, session] of Object.entries(state.traderStats.activeSessions || {})) {
+    carriedActiveSessions[userId] = {
+      ...session,
+      startedMs: currentWeekStart,
+    };
+  }
+
+  state.traderStats.weekStartMs = currentWeekStart;
+  state.traderStats.totals = {};
+  state.traderStats.activeSessions = carriedActiveSessions;
+}
+
+function ensureTraderStatsWeek() {
+  normalizeTraderStatsState();
+
+  const currentWeekStart = getTraderWeekStartMs();
+
+  if (!state.traderStats.weekStartMs) {
+    state.traderStats.weekStartMs = currentWeekStart;
+    saveState();
+    return;
+  }
+
+  if (state.traderStats.weekStartMs !== currentWeekStart) {
+    rollTraderStatsWeek(currentWeekStart);
+    saveState();
+  }
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours <= 0) return `${minutes}m`;
+  if (minutes <= 0) return `${hours}h`;
+  return `${hours}h ${minutes}m`;
+}
+
+function getActiveTraderCount() {
+  ensureTraderStatsWeek();
+  return Object.keys(state.traderStats.activeSessions || {}).length;
+}
+
+function getDisplayNameForMember(member, fallbackUser) {
+  return member?.displayName || fallbackUser?.globalName || fallbackUser?.username || "Unknown Trader";
+}
+
+function startTraderSession(member, user) {
+  ensureTraderStatsWeek();
+
+  const userId = user.id;
+  const displayName = getDisplayNameForMember(member, user);
+
+  if (state.traderStats.activeSessions[userId]) {
+    return {
+      started: false,
+      displayName,
+      alreadyActive: true,
+    };
+  }
+
+  state.traderStats.activeSessions[userId] = {
+    userId,
+    displayName,
+    startedMs: nowMs(),
+  };
+
+  if (!state.traderStats.totals[userId]) {
+    state.traderStats.totals[userId] = {
+      userId,
+      displayName,
+      totalMs: 0,
+    };
+  } else {
+    state.traderStats.totals[userId].displayName = displayName;
+  }
+
+  saveState();
+
+  return {
+    started: true,
+    displayName,
+    alreadyActive: false,
+  };
+}
+
+function stopTraderSession(member, user) {
+  ensureTraderStatsWeek();
+
+  const userId = user.id;
+  const displayName = getDisplayNameForMember(member, user);
+  const session = state.traderStats.activeSessions[userId];
+
+  if (!session) {
+    return {
+      stopped: false,
+      displayName,
+      addedMs: 0,
+    };
+  }
+
+  const addedMs = Math.max(0, nowMs() - Number(session.startedMs || nowMs()));
+
+  if (!state.traderStats.totals[userId]) {
+    state.traderStats.totals[userId] = {
+      userId,
+      displayName,
+      totalMs: 0,
+    };
+  }
+
+  state.traderStats.totals[userId].displayName = displayName;
+  state.traderStats.totals[userId].totalMs =
+    Number(state.traderStats.totals[userId].totalMs || 0) + addedMs;
+
+  delete state.traderStats.activeSessions[userId];
+
+  saveState();
+
+  return {
+    stopped: true,
+    displayName,
+    addedMs,
+  };
+}
+
+function buildTraderStatsText() {
+  ensureTraderStatsWeek();
+
+  const rows = getTraderStatsRows();
+
+  if (!rows.length) {
+    const lastWeekText = state.traderStats.lastWeekSummary?.text
+      ? `\n\nLast saved weekly digest:\n${state.traderStats.lastWeekSummary.text}`
+      : "";
+
+    return `**Trader Hours This Week**\nNo trader time logged yet.\n\nWeek resets Friday at 6:00 AM Eastern Time.${lastWeekText}`;
+  }
+
+  const active = Object.values(state.traderStats.activeSessions || {});
+  const activeLine = active.length
+    ? `\n\nCurrently active: ${active.map((x) => `**${x.displayName}**`).join(", ")}`
+    : "";
+
+  return `**Trader Hours This Week**\n${formatTraderStatsLines(rows).join("\n")}${activeLine}\n\nWeek resets Friday at 6:00 AM Eastern Time.`;
+}
+
+async function sendWeeklyTraderDigestIfDue() {
+  ensureTraderStatsWeek();
+
+  const summary = state.traderStats.lastWeekSummary;
+  if (!summary?.text || !summary.weekStartMs) return;
+  if (state.traderStats.lastDigestWeekStartMs === summary.weekStartMs) return;
+  if (!TRADER_DIGEST_CHANNEL_ID) return;
+
+  const channel = await client.channels.fetch(TRADER_DIGEST_CHANNEL_ID).catch(() => null);
+  if (!channel || !channel.guild || typeof channel.send !== "function") return;
+
+  const me = channel.guild.members.me;
+  if (me) {
+    const perms = channel.permissionsFor(me);
+    if (!perms?.has(PermissionsBitField.Flags.SendMessages)) return;
+  }
+
+  const ping = TRADER_DIGEST_PING_ROLE_ID ? `<@&${TRADER_DIGEST_PING_ROLE_ID}>\n` : "";
+  await channel.send({
+    content: `${ping}${summary.text}`,
+    allowedMentions: TRADER_DIGEST_PING_ROLE_ID
+      ? { roles: [TRADER_DIGEST_PING_ROLE_ID] }
+      : { parse: [] },
+  });
+
+  state.traderStats.lastDigestWeekStartMs = summary.weekStartMs;
+  saveState();
+}
+
+async function setTraderStatusChannelName(guild, desiredName) {
+  const channel = await guild.channels.fetch(TRADER_STATUS_CHANNEL_ID).catch(() => null);
+
+  if (!channel || typeof channel.setName !== "function") {
+    return {
+      ok: false,
+      channel: null,
+      error: "Trader status channel not found, or it cannot be renamed.",
+    };
+  }
+
+  const botMember = guild.members.me ?? await guild.members.fetchMe().catch(() => null);
+  const perms = botMember ? channel.permissionsFor(botMember) : null;
+
+  if (!perms?.has(PermissionsBitField.Flags.ManageChannels)) {
+    return {
+      ok: false,
+      channel,
+      error: "I need the **Manage Channels** permission to rename the trader status channel.",
+    };
+  }
+
+  return {
+    ok: true,
+    channel,
+    error: null,
+    rename: requestChannelRename(channel, desiredName, "Trader status command used"),
+  };
+}
+
+async function handleTraderStatusCommand(message) {
+  try {
+    if (message.author.bot) return false;
+    if (!message.guild) return false;
+
+    const content = message.content.toLowerCase().trim();
+    const action = TRADER_STATUS_COMMANDS[content];
+
+    if (!action) return false;
+
+    const member = message.member ?? await message.guild.members.fetch(message.author.id).catch(() => null);
+
+    const hasRole = member?.roles?.cache?.some((role) =>
+      TRADER_STATUS_ROLE_IDS.includes(role.id)
+    );
+
+    if (!hasRole) {
+      await message.reply("You do not have permission to use this command.");
+      return true;
+    }
+
+    const displayName = getDisplayNameForMember(member, message.author);
+
+    if (action === "stats") {
+      const statsText = buildTraderStatsText();
+      await message.reply(statsText);
+      return true;
+    }
+
+    if (action === "open") {
+      const activeCountBeforeOpen = getActiveTraderCount();
+      const result = startTraderSession(member, message.author);
+
+      // activeSessions is keyed by user ID, so this only rejects a duplicate
+      // session for this trader. Other traders may still open simultaneously.
+      if (!result.started) {
+        await message.reply(
+          "You already have an active trader session. Use `!traderbreak` or `!traderclose` first."
+        );
+        return true;
+      }
+
+      const status = await setTraderStatusChannelName(message.guild, TRADER_STATUS_NAMES.online);
+
+      if (!status.ok) {
+        // The new session was not announced successfully, so do not leave it active.
+        delete state.traderStats.activeSessions[message.author.id];
+        saveState();
+        await message.reply(status.error);
+        return true;
+      }
+
+      const openedAtUnix = Math.floor(Date.now() / 1000);
+      const rolePing = activeCountBeforeOpen === 0 ? `<@&${TRADER_PING_ROLE_ID}> ` : "";
+      await status.channel.send(
+        `${rolePing}<@${message.author.id}> opened trader at <t:${openedAtUnix}:t>${renameDelayText(status.rename)}`
+      );
+
+      if (message.channel.id !== status.channel.id) {
+        await message.reply("Trader status set to online.");
+      }
+
+      return true;
+    }
+
+    if (action === "break") {
+      const result = stopTraderSession(member, message.author);
+      const activeCount = getActiveTraderCount();
+
+      const desiredName = activeCount > 0
+        ? TRADER_STATUS_NAMES.online
+        : TRADER_STATUS_NAMES.break;
+
+      const status = await setTraderStatusChannelName(message.guild, desiredName);
+
+      if (!status.ok) {
+        await message.reply(status.error);
+        return true;
+      }
+
+      const timeText = result.stopped
+        ? ` Time logged: **${formatDuration(result.addedMs)}**.`
+        : "";
+
+      const stillOnlineText = activeCount > 0
+        ? ` Trader is still online with **${activeCount}** active trader${activeCount === 1 ? "" : "s"}.`
+        : " Trader is currently on break.";
+
+      await status.channel.send(
+        `**${displayName}** is on trader break.${timeText}${stillOnlineText}${renameDelayText(status.rename)}`
+      );
+
+      if (message.channel.id !== status.channel.id) {
+        await message.reply("Trader break logged.");
+      }
+
+      return true;
+    }
+
+    if (action === "close") {
+      const result = stopTraderSession(member, message.author);
+      const activeCount = getActiveTraderCount();
+
+      const desiredName = activeCount > 0
+        ? TRADER_STATUS_NAMES.online
+        : TRADER_STATUS_NAMES.offline;
+
+      const status = await setTraderStatusChannelName(message.guild, desiredName);
+
+      if (!status.ok) {
+        await message.reply(status.error);
+        return true;
+      }
+
+      const timeText = result.stopped
+        ? ` Time logged: **${formatDuration(result.addedMs)}**.`
+        : "";
+
+      const stillOnlineText = activeCount > 0
+        ? ` Trader is still online with **${activeCount}** active trader${activeCount === 1 ? "" : "s"}.`
+        : " Trader is now offline.";
+
+      await status.channel.send(
+        `**${displayName}** closed trader.${timeText}${stillOnlineText}${renameDelayText(status.rename)}`
+      );
+
+      if (message.channel.id !== status.channel.id) {
+        await message.reply("Trader close logged.");
+      }
+
+      return true;
+    }
+
+    return false;
+  } catch (err) {
+    console.error("[TRADER STATUS ERROR]", err?.message ?? err);
+    await message.reply("Something went wrong while updating trader status.").catch(() => null);
+    return true;
+  }
+}
+
+// Review controls. Flag alerts carry a row of buttons; digest pages carry menus that open the
+// same buttons privately. Custom ids are "review:<action>:<digest message id>:<gtKey>", with
+// the message id left empty when the buttons sit on the message they act on. Trust, Ban and
+// Dismiss close the review for that player; every action is kept in state.reviewLog.
+const REVIEW_ID_PREFIX = "review:";
+const REVIEW_MENU_PAGE_MAX = 100;
+const REVIEW_CLOSING_ACTIONS = new Set(["trust", "ban", "dismiss"]);
+const REVIEW_FIELD_NAME = "Review Actions";
+
+function buildReviewButtons(k, messageId = "") {
+  const id = (action) => `${REVIEW_ID_PREFIX}${action}:${messageId}:${k}`;
+
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(id("trust")).setLabel("Trust").setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(id("ban")).setLabel("Ban").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId(id("dismiss")).setLabel("Dismiss").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(id("recheck")).setLabel("Recheck now").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(id("note")).setLabel("Add note").setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function buildReviewMenus(items) {
+  const rows = [];
+
+  for (let i = 0; i < items.length; i += 25) {
+    const slice = items.slice(i, i + 25);
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`${REVIEW_ID_PREFIX}pick:${rows.length}`)
+      .setPlaceholder(`Review a player (${i + 1}-${i + slice.length})`)
+      .addOptions(slice.map((v) => ({
+        label: String(v.gamertag || v.k).slice(0, 100),
+        value: v.k,
+        description: Number.isFinite(v.riskScore) ? `Risk ${v.riskScore}` : undefined,
+      })));
+
+    rows.push(new ActionRowBuilder().addComponents(menu));
+  }
+
+  return rows;
+}
+
+function parseReviewId(customId) {
+  const [, action, messageId, ...rest] = String(customId).split(":");
+  return { action, messageId: messageId || "", k: rest.join(":") };
+}
+
+// Review controls carry a record key. Buttons posted before records were keyed by XUID carry
+// the gamertag key instead, which is looked up through the registry.
+function reviewRecordKey(k) {
+  const saved = state.flaggedAll.has(k) || state.pending.has(k) || state.checked.has(k) || state.notes.has(k) || !!state.trusted[k];
+  return saved || k.startsWith(XUID_KEY_PREFIX) ? k : playerKey(k);
+}
+
+function reviewDisplayForKey(k) {
+  const key = reviewRecordKey(k);
+
+  return state.flaggedAll.get(key)?.gamertag
+    ?? state.pending.get(key)?.gamertag
+    ?? state.checked.get(key)?.gamertag
+    ?? state.trusted[key]?.gamertag
+    ?? state.players.get(xuidForKey(key))?.gamertag
+    ?? k;
+}
+
+function recordReviewAction(entry) {
+  state.reviewLog.push({ ...entry, atMs: nowMs() });
+  if (state.reviewLog.length > REVIEW_LOG_MAX) state.reviewLog.splice(0, state.reviewLog.length - REVIEW_LOG_MAX);
+  saveState();
+
+  console.log(`[REVIEW] ${entry.staffTag || entry.staffId} ${entry.action} ${entry.gamertag}${entry.detail ? `: ${entry.detail}` : ""}.`);
+}
+
+// Returns the edit for a reviewed message: the action is appended to its "Review Actions" field,
+// and once the review is closed the player's buttons are disabled or menu option removed.
+function buildReviewedMessage(message, line, k, closed) {
+  const [first, ...rest] = message.embeds;
+  const embed = EmbedBuilder.from(first);
+  const fields = embed.data.fields ?? [];
+  const existing = fields.find((f) => f.name === REVIEW_FIELD_NAME);
+
+  const lines = [...(existing ? existing.value.split("\n") : []), line];
+  while (lines.length > 1 && lines.join("\n").length > 1024) lines.shift();
+
+  const field = { name: REVIEW_FIELD_NAME, value: lines.join("\n"), inline: false };
+  embed.setFields(existing ? fields.map((f) => (f === existing ? field : f)) : [...fields, field]);
+
+  const components = message.components
+    .map((row) => row.toJSON())
+    .map((row) => {
+      if (!closed) return row;
+
+      const parts = row.components
+        .map((c) => {
+          if (c.custom_id && !c.custom_id.startsWith(REVIEW_ID_PREFIX)) return c;
+          if (c.options) return { ...c, options: c.options.filter((o) => o.value !== k) };
+          if (parseReviewId(c.custom_id).k !== k) return c;
+
+          return parseReviewId(c.custom_id).action === "note" ? c : { ...c, disabled: true };
+        })
+        .filter((c) => !c.options || c.options.length);
+
+      return { ...row, components: parts };
+    })
+    .filter((row) => row.components.length);
+
+  return { embeds: [embed, ...rest], components };
+}
+
+function buildReviewModal(action, customId, gamertag) {
+  const modal = new ModalBuilder()
+    .setCustomId(customId)
+    .setTitle(`${action === "ban" ? "Ban" : "Note on"} ${gamertag}`.slice(0, 45));
+
+  if (action === "ban") {
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId("reason").setLabel("Reason").setStyle(TextInputStyle.Paragraph).setMaxLength(500).setRequired(true)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId("days").setLabel("Days (leave empty for permanent)").setStyle(TextInputStyle.Short).setMaxLength(4).setRequired(false)
+      )
+    );
+  } else {
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId("text").setLabel("Note").setStyle(TextInputStyle.Paragraph).setMaxLength(500).setRequired(true)
+      )
+    );
+  }
+
+  return modal;
+}
+
+// Performs a review action on the player saved under record key k and returns the line shown
+// on the reviewed message.
+function applyReviewAction(action, k, gamertag, interaction) {
+  const who = `<@${interaction.user.id}>`;
+  const when = `<t:${Math.floor(nowMs() / 1000)}:R>`;
+
+  if (action === "trust") {
+    trustPlayerKey(k, gamertag, interaction.user);
+    return { line: `${who} trusted **${gamertag}** ${when}`, detail: "" };
+  }
+
+  if (action === "dismiss") {
+    clearFlagged(k);
+    return { line: `${who} dismissed **${gamertag}** ${when}`, detail: "" };
+  }
+
+  if (action === "recheck") {
+    const res = pushGamertagToFront(gamertag, interaction.guild);
+    const detail = res.ok ? "" : `not queued (${res.reason})`;
+    return { line: `${who} queued a recheck of **${gamertag}** ${when}${detail ? ` - ${detail}` : ""}`, detail };
+  }
+
+  if (action === "ban") {
+    const reason = interaction.fields.getTextInputValue("reason").trim();
+    // Validated in handleReviewInteraction: empty or a positive whole number.
+    const days = Number.parseInt(interaction.fields.getTextInputValue("days").trim() || "0", 10);
+    const { ban } = issueBan(gamertag, xuidForKey(k), { reason, days }, interaction.user);
+    const expiry = ban.expiresMs ? ` for ${days} day(s)` : "";
+
+    return { line: `${who} banned **${gamertag}**${expiry} ${when}: ${ban.reason.slice(0, 100)}`, detail: ban.reason };
+  }
+
+  const note = addNote(gamertag, interaction.fields.getTextInputValue("text").trim().slice(0, 500), interaction.user, k);
+  return { line: `${who} added note #${note.id} on **${gamertag}** ${when}`, detail: note.text };
+}
+
+async function handleReviewInteraction(interaction) {
+  if (!isStaff(interaction)) {
+    await interaction.reply({ content: "Only staff can use review controls.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // Picking a player from a digest menu opens that player's buttons privately.
+  if (interaction.isStringSelectMenu()) {
+    const k = interaction.values[0];
+    const gamertag = reviewDisplayForKey(k);
+
+    await interaction.reply({
+      content: `Review **${gamertag}**:`,
+      components: [buildReviewButtons(k, interaction.message.id)],
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const { action, messageId, k } = parseReviewId(interaction.customId);
+  const gamertag = reviewDisplayForKey(k);
+
+  if (interaction.isButton() && (action === "ban" || action === "note")) {
+    await interaction.showModal(buildReviewModal(action, interaction.customId, gamertag));
+    return;
+  }
+
+  if (interaction.isModalSubmit() && (action === "ban" || action === "note")) {
+    const text = interaction.fields.getTextInputValue(action === "ban" ? "reason" : "text").trim();
+
+    if (!text) {
+      await interaction.reply({ content: `You must provide ${action === "ban" ? "a reason" : "the note text"}.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const days = action === "ban" ? interaction.fields.getTextInputValue("days").trim() : "";
+    if (days && !/^[1-9]\d*$/.test(days)) {
+      await interaction.reply({ content: "Days must be a whole number above 0, or empty for a permanent ban.", flags: MessageFlags.Ephemeral });
+      return;
+    }
+  }
+
+  const key = reviewRecordKey(k);
+  const { line, detail } = applyReviewAction(action, key, gamertag, interaction);
+  const closed = REVIEW_CLOSING_ACTIONS.has(action);
+
+  recordReviewAction({
+    action,
+    k: key,
+    gamertag,
+    xuid: xuidForKey(key),
+    staffId: interaction.user.id,
+    staffTag: interaction.user.tag ?? interaction.user.username ?? "",
+    source: messageId ? "digest" : "flag",
+    messageId: messageId || interaction.message?.id || "",
+    detail,
+  });
+
+  if (!messageId) {
+    await interaction.update(buildReviewedMessage(interaction.message, line, k, closed));
+    return;
+  }
+
+  const digestMessage = await interaction.channel?.messages.fetch(messageId).catch(() => null);
+  if (digestMessage) {
+    await digestMessage.edit(buildReviewedMessage(digestMessage, line, k, closed)).catch((err) => {
+      console.warn("[REVIEW] Failed to update digest message:", err?.message ?? err);
+    });
+  }
+
+  await interaction.update({ content: line, components: closed ? [] : interaction.message.components });
+}
+
+client.on("messageCreate", async (message) => {
+  await handleOnlineListEvent(message).catch((e) => console.error("[LIST] error:", e));
+  await handleTraderStatusCommand(message);
+});
+
+client.on("messageUpdate", async (_oldMessage, newMessage) => {
+  await handleOnlineListEvent(newMessage).catch((e) => console.error("[LIST] error:", e));
+});
+
+client.on("interactionCreate", async (interaction) => {
+  if (interaction.customId?.startsWith(REVIEW_ID_PREFIX)) {
+    await handleReviewInteraction(interaction).catch(async (err) => {
+      console.error("[REVIEW] error:", err?.message ?? err);
+
+      if (interaction.deferred || interaction.replied) return;
+      await interaction.reply({
+        content: "Something went wrong while processing that review action.",
+        flags: MessageFlags.Ephemeral,
+      }).catch(() => null);
+    });
+    return;
+  }
+
+  if (!interaction.isChatInputCommand()) return;
+
+  const cmd = interaction.commandName;
+
+  try {
+    if (STAFF_COMMANDS.has(cmd) && !isStaff(interaction)) {
+      await interaction.reply({
+        content: "You don't have permission to use that command.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if ((cmd === "xcheck" || cmd === "xinfo") && interaction.options.getBoolean("refresh") && !isStaff(interaction)) {
+      await interaction.reply({
+        content: "Only staff can force a fresh lookup.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    await interaction.deferReply(EPHEMERAL_COMMANDS.has(cmd) ? { flags: MessageFlags.Ephemeral } : {});
+
+    if (cmd === "xtrust") {
+      const action = (interaction.options.getString("action", true) ?? "").toLowerCase();
+      const input = interaction.options.getString("gamertag") ?? "";
+
+      if (action === "list") {
+        const lines = Object.entries(state.trusted || {})
+          .map(([k, v]) => v?.gamertag || k)
+          .sort((a, b) => a.localeCompare(b));
+
+        const embeds = buildListEmbeds(
+          `Trusted Gamertags - ${lines.length}`,
+          lines.length ? lines : ["No trusted gamertags saved."],
+          0x00ff00
+        );
+
+        await interaction.editReply({ embeds: [embeds[0]] });
+
+        for (let i = 1; i < embeds.length; i++) {
+          await interaction.followUp({ embeds: [embeds[i]] });
+        }
+
+        return;
+      }
+
+      const gts = parseGamertagList(input);
+
+      if (!gts.length) {
+        await interaction.editReply("You must provide gamertag(s) for add/remove. Separate multiple with commas.");
+        return;
+      }
+
+      if (action === "add") {
+        let added = 0;
+        let removedFromFlagged = 0;
+        let already = 0;
+
+        const addedList = [];
+        const alreadyList = [];
+
+        for (const gt of gts) {
+          const k = gtKey(gt);
+
+          if (!k) continue;
+
+          if (isTrustedKey(k)) {
+            already++;
+            alreadyList.push(trustedDisplayForKey(k));
+            continue;
+          }
+
+          const res = trustGamertag(gt, interaction.user);
+
+          if (res.ok) {
+            added++;
+            addedList.push(res.display);
+
+            if (res.removedFlagged) removedFromFlagged++;
+          }
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle("Trusted Update")
+          .setColor(0x00ff00)
+          .addFields(
+            { name: "Added", value: String(added), inline: true },
+            { name: "Removed from flagged", value: String(removedFromFlagged), inline: true },
+            { name: "Already trusted", value: String(already), inline: true }
+          )
+          .setTimestamp();
+
+        if (addedList.length) {
+          embed.addFields({
+            name: "Added Gamertags",
+            value: addedList.join("\n").slice(0, 1024),
+            inline: false,
+          });
+        }
+
+        if (alreadyList.length) {
+          embed.addFields({
+            name: "Already Trusted",
+            value: alreadyList.join("\n").slice(0, 1024),
+            inline: false,
+          });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      if (action === "remove") {
+        let removed = 0;
+        let notFound = 0;
+
+        const removedList = [];
+        const notFoundList = [];
+
+        for (const gt of gts) {
+          const k = gtKey(gt);
+
+          if (!k) continue;
+
+          if (!isTrustedKey(k)) {
+            notFound++;
+            notFoundList.push(gt);
+            continue;
+          }
+
+          const res = untrustGamertag(gt);
+
+          if (res.ok) {
+            removed++;
+            removedList.push(res.display);
+          }
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle("Trusted Update")
+          .setColor(0xffcc00)
+          .addFields(
+            { name: "Removed", value: String(removed), inline: true },
+            { name: "Not trusted", value: String(notFound), inline: true }
+          )
+          .setTimestamp();
+
+        if (removedList.length) {
+          embed.addFields({
+            name: "Removed Gamertags",
+            value: removedList.join("\n").slice(0, 1024),
+            inline: false,
+          });
+        }
+
+        if (notFoundList.length) {
+          embed.addFields({
+            name: "Not Trusted",
+            value: notFoundList.join("\n").slice(0, 1024),
+            inline: false,
+          });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      await interaction.editReply("Invalid action. Use add/remove/list.");
+      return;
+    }
+
+    if (cmd === "xqueue") {
+      const action = (interaction.options.getString("action") ?? "status").toLowerCase();
+      const input = normalizeGamertag(interaction.options.getString("gamertag") ?? "");
+
+      if ((action === "front" || action === "remove") && !input) {
+        await interaction.editReply("You must provide a gamertag for front/remove.");
+        return;
+      }
+
+      let note = "";
+
+      if (action === "front") {
+        const res = pushGamertagToFront(input, interaction.guild);
+
+        note = res.ok
+          ? `${res.moved ? "Moved" : "Queued"} **${res.display}** to the front of the queue.`
+          : res.reason === "trusted"
+            ? `**${input}** is trusted and will not be checked.`
+            : "That gamertag is not valid.";
+      } else if (action === "remove") {
+        const removed = removeGamertagFromQueue(input);
+
+        note = removed
+          ? `Removed **${input}** from the queue.`
+          : currentQueueItem && currentQueueItem.k === gtKey(input)
+            ? `**${input}** is being checked right now and cannot be removed.`
+            : `**${input}** is not in the queue.`;
+      } else if (action === "clear") {
+        note = `Cleared ${clearQueue()} queued check(s).`;
+      } else if (action === "pause") {
+        setQueuePaused(true);
+        note = "Queue paused. The current check, if any, will finish first.";
+      } else if (action === "resume") {
+        setQueuePaused(false);
+        note = "Queue resumed.";
+      } else if (action !== "status") {
+        await interaction.editReply("Invalid action. Use status/front/remove/clear/pause/resume.");
+        return;
+      }
+
+      await interaction.editReply({
+        content: note || undefined,
+        embeds: [buildQueueStatusEmbed()],
+      });
+      return;
+    }
+
+    if (cmd === "xseen") {
+      const input = normalizeGamertag(interaction.options.getString("gamertag") ?? "");
+      const atText = (interaction.options.getString("at") ?? "").trim();
+
+      if (atText) {
+        const atMs = parseEasternDateTime(atText);
+
+        if (Number.isNaN(atMs)) {
+          await interaction.editReply("Times are in ET and look like 2026-10-17 21:00, today 14:30 or yesterday 9pm.");
+          return;
+        }
+
+        const windowMinutes = interaction.options.getInteger("window") ?? 30;
+        const keys = input ? playerSessionKeys(input) : null;
+        const sessions = getSessionsAround(atMs, windowMinutes * 60 * 1000)
+          .filter((s) => !keys || keys.has(s.k));
+
+        const atUnix = Math.floor(atMs / 1000);
+        const retentionNote = nowMs() - atMs > SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000
+          ? ` Sessions are only kept for ${SESSION_RETENTION_DAYS} days.`
+          : "";
+        const lines = [
+          `<t:${atUnix}:f> (<t:${atUnix}:R>), ${windowMinutes} min either side.`,
+          "",
+          ...(sessions.length
+            ? sessions.map((s) => `**${s.gamertag}** ${formatSessionLine(s)}`)
+            : [`No sessions recorded in that window.${retentionNote}`]),
+        ];
+
+        const embeds = buildListEmbeds(`Online Around ${atText}${input ? ` - ${input}` : ""}`.slice(0, 256), lines, 0x5865f2);
+
+        await interaction.editReply({ embeds: [embeds[0]] });
+
+        for (let i = 1; i < embeds.length; i++) {
+          await interaction.followUp({ embeds: [embeds[i]] });
+        }
+
+        return;
+      }
+
+      if (!input) {
+        await interaction.editReply("Give a gamertag, a time to look around, or both.");
+        return;
+      }
+
+      const seen = getPlayerSeenSummary(input);
+
+      if (!seen.sessionCount) {
+        await interaction.editReply(`No sessions recorded for **${input}**.`);
+        return;
+      }
+
+      const lastUnix = Math.floor(seen.lastSeenMs / 1000);
+      const recent = seen.sessions.slice(0, 10).map(formatSessionLine);
+      const otherNames = Array.from(new Set(seen.sessions.map((s) => s.gamertag)))
+        .filter((gt) => gtKey(gt) !== gtKey(input));
+
+      const embed = new EmbedBuilder()
+        .setTitle(`Last Seen - ${input}`)
+        .setColor(seen.current ? 0x00cc66 : 0x5865f2)
+        .addFields(
+          {
+            name: "Status",
+            value: seen.current
+              ? `Online now${MULTI_SERVER ? ` on ${serverLabel(seen.current.server)}` : ""}, since <t:${Math.floor(seen.current.startMs / 1000)}:R>`
+              : `Last seen <t:${lastUnix}:f> (<t:${lastUnix}:R>)`,
+            inline: false,
+          },
+          {
+            name: "Total Playtime",
+            value: `${formatDuration(seen.totalMs)} over ${seen.sessionCount} session${seen.sessionCount === 1 ? "" : "s"}`,
+            inline: true,
+          },
+          { name: "First Seen", value: `<t:${Math.floor(seen.firstSeenMs / 1000)}:d>`, inline: true },
+          {
+            name: `Recent Sessions (last ${SESSION_RETENTION_DAYS} days)`,
+            value: recent.length ? recent.join("\n").slice(0, 1024) : "None in the retention window.",
+            inline: false,
+          }
+        )
+        .setTimestamp();
+
+      if (otherNames.length) embed.setFooter({ text: `Includes sessions as: ${otherNames.join(", ")}` });
+
+      await interaction.editReply({ embeds: [embed] });
+      return;
+    }
+
+    if (cmd === "xnote") {
+      const action = (interaction.options.getString("action", true) ?? "").toLowerCase();
+      const input = normalizeGamertag(interaction.options.getString("gamertag") ?? "");
+
+      if (action === "delete") {
+        const id = interaction.options.getInteger("id");
+
+        if (!id) {
+          await interaction.editReply("You must provide the note number to delete.");
+          return;
+        }
+
+        const removed = deleteNote(id);
+
+        await interaction.editReply(
+          removed
+            ? `Deleted note #${id} on **${removed.gamertag}**.`
+            : `Note #${id} was not found.`
+        );
+        return;
+      }
+
+      if (!gtKey(input)) {
+        await interaction.editReply("You must provide a gamertag for add/list.");
+        return;
+      }
+
+      if (action === "add") {
+        const text = (interaction.options.getString("text") ?? "").trim();
+
+        if (!text) {
+          await interaction.editReply("You must provide the note text.");
+          return;
+        }
+
+        const note = addNote(input, text.slice(0, 500), interaction.user);
+        await interaction.editReply(`Added note #${note.id} to **${input}**.`);
+        return;
+      }
+
+      if (action === "list") {
+        const notes = getNotesForKey(gtKey(input));
+
+        const embeds = buildListEmbeds(
+          `Staff Notes - ${input} - ${notes.length}`,
+          notes.length ? notes.map(formatNoteLine) : ["No notes."],
+          0x5865f2
+        );
+
+        await interaction.editReply({ embeds: [embeds[0]] });
+
+        for (let i = 1; i < embeds.length; i++) {
+          await interaction.followUp({ embeds: [embeds[i]] });
+        }
+
+        return;
+      }
+
+      await interaction.editReply("Invalid action. Use add/list/delete.");
+      return;
+    }
+
+    if (cmd === "xlink") {
+      const action = (interaction.options.getString("action", true) ?? "").toLowerCase();
+      const input = normalizeGamertag(interaction.options.getString("gamertag") ?? "");
+      const member = interaction.options.getUser("member");
+      const userId = interaction.user.id;
+
+      if (action === "start") {
+        if (!gtKey(input)) {
+          await interaction.editReply("You must provide your gamertag.");
+          return;
+        }
+
+        const profile = await fetchOpenXblMergedProfile(input, { priority: "interactive" });
+        const existing = findLinkForPlayer(profile.gamertag, profile.xuid);
+
+        if (existing?.userId === userId) {
+          await interaction.editReply(`You are already linked to **${existing.gamertag}**.`);
+          return;
+        }
+
+        if (existing) {
+          await interaction.editReply(`**${profile.gamertag}** is already linked to another member. Ask staff if this is your account.`);
+          return;
+        }
+
+        const pending = startLink(interaction.user, profile.gamertag);
+        const expiresMs = pending.issuedMs + LINK_CODE_TTL_MINUTES * 60 * 1000;
+
+        await interaction.editReply(
+          `Add the code **${pending.code}** anywhere in the bio of **${pending.gamertag}** ` +
+          `(Xbox: Profile > Customize profile > Bio), then run \`/xlink verify\` before <t:${Math.floor(expiresMs / 1000)}:t>. ` +
+          `You can remove the code once you are linked.`
+        );
+        return;
+      }
+
+      if (action === "verify") {
+        const pending = state.linkCodes.get(userId);
+
+        if (!pending) {
+          await interaction.editReply("You have no link in progress. Start one with `/xlink start`.");
+          return;
+        }
+
+        if (isLinkCodeExpired(pending)) {
+          state.linkCodes.delete(userId);
+          saveState();
+          await interaction.editReply("Your code has expired. Run `/xlink start` again for a new one.");
+          return;
+        }
+
+        // The bio is what proves ownership, so never trust a cached copy of it.
+        const profile = await fetchOpenXblMergedProfile(pending.gamertag, { fresh: true, priority: "interactive" });
+        recordPlayerProfile(profile);
+
+        if (!bioHasLinkCode(profile.bio, pending.code)) {
+          await interaction.editReply(
+            `Code **${pending.code}** was not found in the bio of **${profile.gamertag}**. ` +
+            `Bio changes can take a few minutes to reach Xbox Live, so try again shortly.`
+          );
+          return;
+        }
+
+        const existing = findLinkForPlayer(profile.gamertag, profile.xuid);
+        if (existing && existing.userId !== userId) {
+          await interaction.editReply(`**${profile.gamertag}** is already linked to another member. Ask staff if this is your account.`);
+          return;
+        }
+
+        const link = {
+          userId,
+          userTag: interaction.user.tag ?? interaction.user.username ?? "",
+          gamertag: profile.gamertag,
+          xuid: profile.xuid ? String(profile.xuid) : null,
+          linkedMs: nowMs(),
+        };
+
+        state.links.set(userId, link);
+        state.linkCodes.delete(userId);
+        saveState();
+
+        console.log(`[LINK] ${link.userTag || userId} linked to ${link.gamertag} (XUID ${link.xuid ?? "unknown"}).`);
+        await interaction.editReply(`Linked to **${link.gamertag}**. You can remove the code from your bio now.`);
+        return;
+      }
+
+      if (action === "view" && !member && !gtKey(input)) {
+        const link = state.links.get(userId);
+        const pending = state.linkCodes.get(userId);
+
+        if (link) {
+          await interaction.editReply(`You are linked to **${link.gamertag}** since <t:${Math.floor(link.linkedMs / 1000)}:d>.`);
+        } else if (pending && !isLinkCodeExpired(pending)) {
+          await interaction.editReply(`You are not linked yet. Your code for **${pending.gamertag}** is **${pending.code}**; run \`/xlink verify\` once it is in your bio.`);
+        } else {
+          await interaction.editReply("You are not linked to a gamertag. Start with `/xlink start`.");
+        }
+        return;
+      }
+
+      if (!isStaff(interaction)) {
+        await interaction.editReply("Only staff can view other members' links or revoke links.");
+        return;
+      }
+
+      if (action === "list") {
+        const lines = Array.from(state.links.values())
+          .sort((a, b) => a.gamertag.localeCompare(b.gamertag))
+          .map(formatLinkLine);
+
+        const embeds = buildListEmbeds(
+          `Linked Members - ${lines.length}`,
+          lines.length ? lines : ["No linked members."],
+          0x5865f2
+        );
+
+        await interaction.editReply({ embeds: [embeds[0]] });
+
+        for (let i = 1; i < embeds.length; i++) {
+          await interaction.followUp({ embeds: [embeds[i]], flags: MessageFlags.Ephemeral });
+        }
+
+        return;
+      }
+
+      if (action !== "view" && action !== "revoke") {
+        await interaction.editReply("Invalid action. Use start/verify/view/list/revoke.");
+        return;
+      }
+
+      if (!member && !gtKey(input)) {
+        await interaction.editReply("You must provide a member or gamertag for view/revoke.");
+        return;
+      }
+
+      const link = member
+        ? state.links.get(member.id) ?? null
+        : findLinkForPlayer(input, xuidForKey(gtKey(input)));
+
+      if (!link) {
+        await interaction.editReply(`No link found for ${member ? `<@${member.id}>` : `**${input}**`}.`);
+        return;
+      }
+
+      if (action === "view") {
+        await interaction.editReply(formatLinkLine(link));
+        return;
+      }
+
+      state.links.delete(link.userId);
+      saveState();
+
+      console.log(`[LINK] ${interaction.user.tag ?? userId} revoked the link between ${link.userTag || link.userId} and ${link.gamertag}.`);
+      await interaction.editReply(`Revoked the link between <@${link.userId}> and **${link.gamertag}**.`);
+      return;
+    }
+
+    if (cmd === "xverify") {
+      if (!VERIFIED_ROLE_ID) {
+        await interaction.editReply("Verification is not set up on this server.");
+        return;
+      }
 
-      const status = await setTraderStatusChannelName(message.guild, desiredName);
+      const userId = interaction.user.id;
 
-      if (!status.ok) {
-        await message.reply(status.error);
-        return true;
+      if (interaction.member?.roles?.cache?.has(VERIFIED_ROLE_ID)) {
+        await interaction.editReply("You are already verified.");
+        return;
       }
 
-      const timeText = result.stopped
-        ? ` Time logged: **${formatDuration(result.addedMs)}**.`
-        : "";
+      const link = state.links.get(userId);
+      const input = normalizeGamertag(interaction.options.getString("gamertag") ?? "");
 
-      const stillOnlineText = activeCount > 0
-        ? ` Trader is still online with **${activeCount}** active trader${activeCount === 1 ? "" : "s"}.`
-        : " Trader is now offline.";
+      if (link && gtKey(input) && gtKey(input) !== gtKey(link.gamertag)) {
+        await interaction.editReply(`You are linked to **${link.gamertag}**. Run \`/xverify\` without a gamertag, or ask staff to change your link.`);
+        return;
+      }
 
-      await status.channel.send(`**${displayName}** closed trader.${timeText}${stillOnlineText}`);
+      if (!link && VERIFY_REQUIRE_LINK) {
+        await interaction.editReply("Link your gamertag first with `/xlink start`, then run `/xverify` again.");
+        return;
+      }
 
-      if (message.channel.id !== status.channel.id) {
-        await message.reply("Trader close logged.");
+      const gamertag = link?.gamertag ?? input;
+      if (!gtKey(gamertag)) {
+        await interaction.editReply("You must provide your gamertag, or link it first with `/xlink start`.");
+        return;
       }
 
-      return true;
-    }
+      const merged = await fetchOpenXblMergedProfile(gamertag, { priority: "interactive" });
+      recordPlayerProfile(merged);
 
-    return false;
-  } catch (err) {
-    console.error("[TRADER STATUS ERROR]", err?.message ?? err);
-    await message.reply("Something went wrong while updating trader status.").catch(() => null);
-    return true;
-  }
-}
+      const owner = findLinkForPlayer(merged.gamertag, merged.xuid);
+      if (owner && owner.userId !== userId) {
+        console.log(`[VERIFY] ${interaction.user.tag ?? userId} tried to verify as ${merged.gamertag}, which is linked to ${owner.userTag || owner.userId}.`);
+        await interaction.editReply(`**${merged.gamertag}** is linked to another member. If it is yours, ask staff for help.`);
+        return;
+      }
 
-client.on("messageCreate", async (message) => {
-  await handleTraderStatusCommand(message);
-});
+      const result = evaluateVerification(merged, { linked: !!owner });
+      const previous = state.verifications.get(userId);
 
-client.on("interactionCreate", async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
+      state.verifications.set(userId, {
+        gamertag: merged.gamertag,
+        xuid: merged.xuid ? String(merged.xuid) : null,
+        result: result.passed ? "passed" : "review",
+        reason: result.reason,
+        checkedMs: nowMs(),
+      });
+      saveState();
+
+      if (result.passed) {
+        try {
+          await interaction.member.roles.add(VERIFIED_ROLE_ID, `Verified as ${merged.gamertag}`);
+        } catch (err) {
+          console.warn(`[VERIFY] Could not give ${interaction.user.tag ?? userId} the verified role:`, err?.message ?? err);
+          await interaction.editReply(`**${merged.gamertag}** passed the check, but I could not give you the role. Please ask staff.`);
+          return;
+        }
 
-  const cmd = interaction.commandName;
+        console.log(`[VERIFY] ${interaction.user.tag ?? userId} verified as ${merged.gamertag}${result.reason ? ` (${result.reason})` : ""}.`);
+        await interaction.editReply(`You are verified as **${merged.gamertag}**. Welcome!`);
+        return;
+      }
 
-  try {
-    if ((cmd === "xflagged" || cmd === "xtrust") && !isStaff(interaction)) {
-      await interaction.reply({
-        content: "You don't have permission to use that command.",
-        flags: MessageFlags.Ephemeral,
-      });
+      // Re-running /xverify should not flood the review channel with the same request.
+      const alreadyQueued = previous?.result === "review"
+        && gtKey(previous.gamertag) === gtKey(merged.gamertag)
+        && nowMs() - previous.checkedMs < VERIFY_REVIEW_REPOST_MS;
+
+      if (!alreadyQueued) await sendVerificationReview(interaction.user, merged, result);
+
+      console.log(`[VERIFY] ${interaction.user.tag ?? userId} sent to review as ${merged.gamertag}: ${result.reason}.`);
+      await interaction.editReply(`**${merged.gamertag}** needs a quick staff review before you can be verified. Staff have been notified.`);
       return;
     }
 
-    await interaction.deferReply();
-
-    if (cmd === "xtrust") {
+    if (cmd === "xban") {
       const action = (interaction.options.getString("action", true) ?? "").toLowerCase();
-      const input = interaction.options.getString("gamertag") ?? "";
+      const input = normalizeGamertag(interaction.options.getString("gamertag") ?? "");
+      const k = gtKey(input);
 
       if (action === "list") {
-        const lines = Object.entries(state.trusted || {})
-          .map(([k, v]) => v?.gamertag || k)
-          .sort((a, b) => a.localeCompare(b));
+        const now = nowMs();
+        const bans = Array.from(state.bans.values())
+          .filter((b) => isBanActive(b, now))
+          .sort((a, b) => a.gamertag.localeCompare(b.gamertag));
 
         const embeds = buildListEmbeds(
-          `Trusted Gamertags - ${lines.length}`,
-          lines.length ? lines : ["No trusted gamertags saved."],
-          0x00ff00
+          `Banned Gamertags - ${bans.length}`,
+          bans.length ? bans.map(formatBanLine) : ["No active bans."],
+          0xff0000
         );
 
         await interaction.editReply({ embeds: [embeds[0]] });
@@ -1568,142 +5841,298 @@ client.on("interactionCreate", async (interaction) => {
         return;
       }
 
-      const gts = parseGamertagList(input);
-
-      if (!gts.length) {
-        await interaction.editReply("You must provide gamertag(s) for add/remove. Separate multiple with commas.");
+      if (!k) {
+        await interaction.editReply("You must provide a gamertag for add/remove/info.");
         return;
       }
 
       if (action === "add") {
-        let added = 0;
-        let removedFromFlagged = 0;
-        let already = 0;
+        const reason = (interaction.options.getString("reason") ?? "").trim();
+        const evidence = (interaction.options.getString("evidence") ?? "").trim();
+        const days = interaction.options.getInteger("days");
 
-        const addedList = [];
-        const alreadyList = [];
+        if (!reason) {
+          await interaction.editReply("You must provide a reason when adding a ban.");
+          return;
+        }
 
-        for (const gt of gts) {
-          const k = gtKey(gt);
+        let xuid = xuidForKey(k);
 
-          if (!k) continue;
+        if (!xuid) {
+          const profile = await fetchOpenXblMergedProfile(input, { priority: "interactive" }).catch(() => null);
+          if (profile) recordPlayerProfile(profile);
+          xuid = profile?.xuid ? String(profile.xuid) : null;
+        }
 
-          if (isTrustedKey(k)) {
-            already++;
-            alreadyList.push(trustedDisplayForKey(k));
-            continue;
-          }
+        const { ban, replaced } = issueBan(input, xuid, { reason, evidence, days }, interaction.user);
 
-          const res = trustGamertag(gt);
+        const embed = buildBanEmbed(replaced ? "Ban Updated" : "Ban Added", ban);
+        if (!xuid) embed.setFooter({ text: "XUID could not be resolved. Only the gamertag and lookalikes will match." });
 
-          if (res.ok) {
-            added++;
-            addedList.push(res.display);
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
 
-            if (res.removedFlagged) removedFromFlagged++;
-          }
+      if (action === "remove") {
+        const match = state.bans.has(k) ? { k } : findBanForPlayer(k);
+
+        if (!match) {
+          await interaction.editReply(`**${input}** is not banned.`);
+          return;
         }
 
-        const embed = new EmbedBuilder()
-          .setTitle("Trusted Update")
-          .setColor(0x00ff00)
-          .addFields(
-            { name: "Added", value: String(added), inline: true },
-            { name: "Removed from flagged", value: String(removedFromFlagged), inline: true },
-            { name: "Already trusted", value: String(already), inline: true }
-          )
-          .setTimestamp();
+        const ban = state.bans.get(match.k);
+        state.bans.delete(match.k);
+        saveState();
 
-        if (addedList.length) {
-          embed.addFields({
-            name: "Added Gamertags",
-            value: addedList.join("\n").slice(0, 1024),
-            inline: false,
-          });
-        }
+        await interaction.editReply(`Removed the ban on **${ban.gamertag}**.`);
+        return;
+      }
 
-        if (alreadyList.length) {
-          embed.addFields({
-            name: "Already Trusted",
-            value: alreadyList.join("\n").slice(0, 1024),
-            inline: false,
-          });
+      if (action === "info") {
+        const banKey = state.bans.has(k) ? k : findBanForPlayer(k)?.k;
+        const lookalike = banKey ? null : findLookalikeBan(input);
+        const ban = banKey ? state.bans.get(banKey) : null;
+
+        if (!ban) {
+          await interaction.editReply(
+            lookalike
+              ? `**${input}** is not banned, but looks like banned **${lookalike.ban.gamertag}**.`
+              : `**${input}** is not banned.`
+          );
+          return;
         }
 
-        await interaction.editReply({ embeds: [embed] });
+        await interaction.editReply({ embeds: [buildBanEmbed(`Ban - ${ban.gamertag}`, ban)] });
         return;
       }
 
-      if (action === "remove") {
-        let removed = 0;
-        let notFound = 0;
+      await interaction.editReply("Invalid action. Use add/remove/list/info.");
+      return;
+    }
 
-        const removedList = [];
-        const notFoundList = [];
+    if (cmd === "xrenames") {
+      const pending = pendingChannelRenames();
 
-        for (const gt of gts) {
-          const k = gtKey(gt);
+      const lines = pending.map((r) => {
+        const when = r.applying
+          ? "applying now"
+          : `lands <t:${Math.ceil(r.dueMs / 1000)}:R>`;
 
-          if (!k) continue;
+        return `<#${r.channelId}>: **${r.desiredName}** - ${when} (${r.recentCount}/${CHANNEL_RENAME_LIMIT} renames used in the last 10m)`;
+      });
 
-          if (!isTrustedKey(k)) {
-            notFound++;
-            notFoundList.push(gt);
-            continue;
-          }
+      const embed = new EmbedBuilder()
+        .setTitle(`Pending Channel Renames - ${pending.length}`)
+        .setColor(0x5865f2)
+        .setDescription(lines.length ? lines.join("\n").slice(0, 4000) : "No renames are waiting.")
+        .setFooter({ text: `Discord allows ${CHANNEL_RENAME_LIMIT} renames per channel every 10 minutes. Only the latest name is applied.` })
+        .setTimestamp();
 
-          const res = untrustGamertag(gt);
+      await interaction.editReply({ embeds: [embed] });
+      return;
+    }
 
-          if (res.ok) {
-            removed++;
-            removedList.push(res.display);
-          }
-        }
+    if (cmd === "xexport") {
+      const name = (interaction.options.getString("dataset", true) ?? "").toLowerCase();
+      const format = (interaction.options.getString("format") ?? "csv").toLowerCase();
+      const fromText = interaction.options.getString("from") ?? "";
+      const toText = interaction.options.getString("to") ?? "";
+      const dataset = EXPORT_DATASETS[name];
 
-        const embed = new EmbedBuilder()
-          .setTitle("Trusted Update")
-          .setColor(0xffcc00)
-          .addFields(
-            { name: "Removed", value: String(removed), inline: true },
-            { name: "Not trusted", value: String(notFound), inline: true }
-          )
-          .setTimestamp();
+      if (!dataset) {
+        await interaction.editReply("Invalid dataset. Use trusted/pending/flagged/checked/reviews.");
+        return;
+      }
 
-        if (removedList.length) {
-          embed.addFields({
-            name: "Removed Gamertags",
-            value: removedList.join("\n").slice(0, 1024),
-            inline: false,
-          });
-        }
+      // "to" includes the whole day it names.
+      const fromMs = fromText ? parseEasternDate(fromText) : 0;
+      const toMs = toText ? parseEasternDate(toText, 1) : Infinity;
 
-        if (notFoundList.length) {
-          embed.addFields({
-            name: "Not Trusted",
-            value: notFoundList.join("\n").slice(0, 1024),
+      if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+        await interaction.editReply("Dates must be real dates in YYYY-MM-DD format.");
+        return;
+      }
+
+      if (fromMs >= toMs) {
+        await interaction.editReply("The from date must be on or before the to date.");
+        return;
+      }
+
+      const records = collectExportRecords(dataset, fromMs, toMs);
+      const body = format === "json"
+        ? JSON.stringify(records.map(([key, v]) => ({ key, ...v })), null, 2)
+        : buildExportCsv(dataset, records);
+
+      if (Buffer.byteLength(body, "utf8") > EXPORT_MAX_BYTES) {
+        await interaction.editReply(
+          `That export has ${records.length} records and is over Discord's ${Math.round(EXPORT_MAX_BYTES / 1024 / 1024)} MB file limit. Narrow it with the from/to options.`
+        );
+        return;
+      }
+
+      const range = fromText || toText ? `${fromText || "start"}-to-${toText || "now"}` : easternDateKey(nowMs());
+      const file = new AttachmentBuilder(Buffer.from(body, "utf8"), {
+        name: `${name}-${range}.${format === "json" ? "json" : "csv"}`,
+      });
+
+      const rangeText = fromText || toText
+        ? ` active ${fromText ? `from ${fromText}` : ""}${fromText && toText ? " " : ""}${toText ? `through ${toText}` : ""} (ET)`
+        : "";
+
+      await interaction.editReply({
+        content: `Exported ${records.length} ${dataset.label} record${records.length === 1 ? "" : "s"}${rangeText}.`,
+        files: [file],
+      });
+      return;
+    }
+
+    if (cmd === "xstats") {
+      const server = resolveServerOption(interaction);
+
+      if (!server) {
+        await interaction.editReply(`Unknown server. Known servers: ${SERVERS.map((s) => s.name).join(", ")}.`);
+        return;
+      }
+
+      const days = Math.min(interaction.options.getInteger("days") ?? 7, POPULATION_RETENTION_DAYS);
+      const sinceMs = nowMs() - days * 24 * 60 * 60 * 1000;
+      const samples = readPopulationSamples(0, server);
+      const rangeSamples = samples.filter((s) => s.t >= sinceMs);
+
+      if (!rangeSamples.length) {
+        await interaction.editReply(`No population samples recorded in the last ${days} day${days === 1 ? "" : "s"}.`);
+        return;
+      }
+
+      const stats = computePopulationStats(samples, sinceMs);
+      const dayLines = stats.days.map((d) => `${d.date}  peak ${String(d.peak).padStart(3)}  avg ${d.average.toFixed(1).padStart(5)}`);
+      const weekLines = stats.weeks.map((w) => `Week of ${w.week}: ${w.unique}`);
+
+      const embed = new EmbedBuilder()
+        .setTitle(`${MULTI_SERVER ? server.name : "Server"} Population - Last ${days} Day${days === 1 ? "" : "s"}`)
+        .setColor(0x5865f2)
+        .setDescription(`**Daily Peak / Average**\n\`\`\`\n${dayLines.join("\n").slice(0, 3900)}\n\`\`\``)
+        .addFields(
+          {
+            name: "Average by Hour (ET)",
+            value: `\`\`\`\n${formatHourHeatmap(stats.hours)}\n\`\`\``.slice(0, 1024),
             inline: false,
-          });
-        }
+          },
+          { name: "Unique Players per Week", value: weekLines.join("\n").slice(0, 1024), inline: true },
+          {
+            name: "New vs Returning",
+            value: `New: ${stats.newPlayers}\nReturning: ${stats.returningPlayers}`,
+            inline: true,
+          }
+        )
+        .setFooter({ text: `${rangeSamples.length} samples. Weeks start Monday, times in ET.` })
+        .setTimestamp();
 
-        await interaction.editReply({ embeds: [embed] });
+      const files = interaction.options.getBoolean("csv")
+        ? [new AttachmentBuilder(Buffer.from(buildPopulationCsv(rangeSamples), "utf8"), { name: `population-${MULTI_SERVER ? `${server.key.replace(/[^a-z0-9]+/g, "-")}-` : ""}${days}d.csv` })]
+        : [];
+
+      await interaction.editReply({ embeds: [embed], files });
+      return;
+    }
+
+    if (cmd === "xparser") {
+      const server = resolveServerOption(interaction);
+
+      if (!server) {
+        await interaction.editReply(`Unknown server. Known servers: ${SERVERS.map((s) => s.name).join(", ")}.`);
         return;
       }
 
-      await interaction.editReply("Invalid action. Use add/remove/list.");
+      const name = (interaction.options.getString("profile") ?? server.parser.name).trim().toLowerCase();
+      const profile = parserProfiles.get(name);
+      const known = Array.from(parserProfiles.keys()).join(", ");
+
+      if (!profile) {
+        await interaction.editReply(`Unknown parser profile **${name}**. Known profiles: ${known}.`);
+        return;
+      }
+
+      if (!server.listChannelId) {
+        await interaction.editReply(`No online list channel is configured for ${server.name}.`);
+        return;
+      }
+
+      const newest = await fetchLatestListMessage(server);
+
+      if (!newest) {
+        await interaction.editReply("Could not read the latest online list message.");
+        return;
+      }
+
+      const { gamertags, ignored, unmatched } = parseOnlineListMessage(newest, profile);
+      const patternCount = matchOnlineCount(newest, profile);
+
+      const unmatchedSample = unmatched.slice(0, 10).map((l) => l.slice(0, 80)).join("\n");
+
+      const embed = new EmbedBuilder()
+        .setTitle(`Parser Test - ${profile.name}`)
+        .setColor(gamertags.length ? 0x00cc66 : 0xffcc00)
+        .setDescription(`Latest list message: ${newest.url ?? newest.id}`)
+        .addFields(
+          {
+            name: `Gamertags (${gamertags.length})`,
+            value: gamertags.length ? gamertags.join("\n").slice(0, 1024) : "None extracted.",
+            inline: false,
+          },
+          {
+            name: "Online Count",
+            value: patternCount === null
+              ? `${gamertags.length} (no count pattern matched, using gamertag count)`
+              : String(patternCount),
+            inline: true,
+          },
+          { name: "Ignored Lines", value: String(ignored), inline: true },
+          {
+            name: `Unmatched Lines (${unmatched.length})`,
+            value: unmatched.length ? `\`\`\`\n${unmatchedSample.slice(0, 1000)}\n\`\`\`` : "None.",
+            inline: false,
+          }
+        )
+        .setFooter({ text: `${server.name} uses ${server.parser.name}. Known profiles: ${known}.` })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
       return;
     }
 
     if (cmd === "xflagged") {
       const scope = (interaction.options.getString("scope") ?? "pending").toLowerCase();
 
+      if (scope === "unresolvable") {
+        const lines = Array.from(state.unresolvable.values())
+          .sort((a, b) => (a.gamertag || "").localeCompare(b.gamertag || ""))
+          .map(formatUnresolvedLine);
+
+        const embeds = buildListEmbeds(
+          `Unresolvable Gamertags - ${lines.length}`,
+          lines.length ? lines : ["No entries."],
+          0xffcc00
+        );
+
+        await interaction.editReply({ embeds: [embeds[0]] });
+
+        for (let i = 1; i < embeds.length; i++) {
+          await interaction.followUp({ embeds: [embeds[i]] });
+        }
+
+        return;
+      }
+
       const items = scope === "pending"
         ? Array.from(state.pending.entries())
             .map(([k, v]) => ({ k, ...v }))
-            .filter((x) => !isTrustedKey(x.k))
+            .filter((x) => !isTrustedRecordKey(x.k))
             .sort((a, b) => (a.gamertag || "").localeCompare(b.gamertag || ""))
         : Array.from(state.flaggedAll.entries())
             .map(([k, v]) => ({ k, ...v }))
-            .filter((x) => !isTrustedKey(x.k))
+            .filter((x) => !isTrustedRecordKey(x.k))
             .sort((a, b) => (a.gamertag || "").localeCompare(b.gamertag || ""));
 
       const lines = scope === "pending"
@@ -1728,33 +6157,24 @@ client.on("interactionCreate", async (interaction) => {
     }
 
     const gamertagInput = normalizeGamertag(interaction.options.getString("gamertag", true));
-    const merged = await fetchOpenXblMergedProfile(gamertagInput);
-    const flaggedByGS = merged.gamerscore !== null ? merged.gamerscore < GS_THRESHOLD : false;
+    const merged = await fetchOpenXblMergedProfile(gamertagInput, {
+      fresh: interaction.options.getBoolean("refresh") === true,
+      priority: "interactive",
+    });
+    const registered = recordPlayerProfile(merged);
+    const risk = computeRiskScore(merged);
 
     if (cmd === "xcheck") {
-      const embed = new EmbedBuilder()
-        .setTitle("Xbox Gamerscore Check")
-        .setColor(flaggedByGS ? 0xff0000 : 0x00ff00)
-        .setTimestamp();
-
-      addFieldIf(embed, "Gamertag", merged.gamertag, true);
-
-      if (merged.gamerscore !== null) {
-        addFieldIf(embed, "Gamerscore", String(merged.gamerscore), true);
-      }
-
-      addFieldIf(embed, "Result", flaggedByGS ? "FLAGGED" : "OK", false);
-      addFieldIf(embed, "Tier", merged.tier ? String(merged.tier) : "", true);
-
-      if (merged.gamerpic) embed.setThumbnail(merged.gamerpic);
+      const embed = buildCheckEmbed(merged, risk);
 
       await interaction.editReply({ embeds: [embed] });
+      await sendStaffNotesFollowUp(interaction, merged.gamertag, 3);
       return;
     }
 
     const embed = new EmbedBuilder()
       .setTitle("Xbox Profile Info")
-      .setColor(flaggedByGS ? 0xff4d4d : 0x2b2d31)
+      .setColor(risk.flagged ? 0xff4d4d : 0x2b2d31)
       .setTimestamp();
 
     if (merged.gamerpic) embed.setThumbnail(merged.gamerpic);
@@ -1793,15 +6213,71 @@ client.on("interactionCreate", async (interaction) => {
       addFieldIf(embed, "Friends", String(merged.friendCount), true);
     }
 
-    embed.setFooter({ text: "Note: Some fields may be unavailable due to Xbox privacy settings." });
+    if (XBL_TITLE_ID && merged.xuid) {
+      const history = await fetchPlayerTitleHistory(merged.xuid, XBL_TITLE_ID, {
+        fresh: interaction.options.getBoolean("refresh") === true,
+        priority: "interactive",
+      }).catch((err) => {
+        console.warn(`[TITLE HISTORY] ${merged.gamertag}:`, err?.message ?? err);
+        return { unavailable: true };
+      });
+
+      if (history === null) {
+        addFieldIf(embed, "Our Game", "No play history found.", false);
+      } else if (history.unavailable) {
+        addFieldIf(embed, "Our Game", "Title history unavailable (private or lookup failed).", false);
+      } else {
+        addFieldIf(embed, "Our Game", history.name || `Title ${history.titleId}`, true);
+        addFieldIf(embed, "First Played", history.firstPlayedMs ? `<t:${Math.floor(history.firstPlayedMs / 1000)}:d>` : "", true);
+        addFieldIf(embed, "Last Played", history.lastPlayedMs ? `<t:${Math.floor(history.lastPlayedMs / 1000)}:R>` : "", true);
+
+        if (history.achievementsEarned !== null) {
+          const total = history.achievementsTotal ? `/${history.achievementsTotal}` : "";
+          const gs = history.gamerscoreEarned !== null ? ` (${history.gamerscoreEarned} GS)` : "";
+          addFieldIf(embed, "Achievements", `${history.achievementsEarned}${total}${gs}`, true);
+        }
+      }
+    }
+
+    const previousGamertags = previousGamertagsForPlayer(registered?.player);
+    if (previousGamertags.length) {
+      addFieldIf(
+        embed,
+        "Previous Gamertags",
+        previousGamertags
+          .slice(0, 10)
+          .map((a) => `${a.gamertag} (last seen <t:${Math.floor(a.lastSeenMs / 1000)}:d>)`)
+          .join("\n")
+          .slice(0, 1024),
+        false
+      );
+    }
+
+    const link = findLinkForPlayer(merged.gamertag, merged.xuid);
+    if (link) {
+      addFieldIf(embed, "Linked Member", `<@${link.userId}> (since <t:${Math.floor(link.linkedMs / 1000)}:d>)`, false);
+    }
+
+    const cachedText = merged.fetchedMs && nowMs() - merged.fetchedMs > 60 * 1000
+      ? ` Cached ${formatDuration(nowMs() - merged.fetchedMs)} ago.`
+      : "";
+
+    embed.setFooter({ text: `Note: Some fields may be unavailable due to Xbox privacy settings.${cachedText}` });
 
     await interaction.editReply({ embeds: [embed] });
+    await sendStaffNotesFollowUp(interaction, merged.gamertag);
   } catch (err) {
     console.error("interaction error:", err?.message ?? err);
 
     const msg = err instanceof RateLimitError
       ? "OpenXBL is rate limiting requests right now. Try again in a couple minutes."
-      : "Something went wrong while processing that request.";
+      : err instanceof XblNotFoundError
+        ? "That gamertag was not found on Xbox Live. Check the spelling and try again."
+        : err instanceof XblAuthError
+          ? `The bot's OpenXBL API key is not working right now.${MODLOG_CHANNEL_ID ? " Staff have been notified." : ""}`
+          : isXblOutageError(err)
+            ? "OpenXBL is having problems right now. Try again in a few minutes."
+            : "Something went wrong while processing that request.";
 
     try {
       if (interaction.deferred || interaction.replied) {
@@ -1825,6 +6301,9 @@ client.once("clientReady", async () => {
 
   await sendWeeklyTraderDigestIfDue().catch((e) => console.error("[TRADER DIGEST] error:", e));
 
+  migratePlayerRegistry();
+  restoreQueue();
+
   await pollOnlineList().catch((e) => console.error("[POLL] error:", e));
 
   setInterval(() => {